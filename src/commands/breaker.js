@@ -0,0 +1,178 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { CIRCUIT_BREAKER_FAILURE_THRESHOLD, RATE_LIMIT_BREAKER_KEY, STORY_BREAKER_KEY_SUFFIX } from '../utils/constants.js';
+
+const STATE_LABELS = {
+  open: '🔴 Open',
+  'half-open': '🟡 Half-open',
+  closed: '🟢 Closed'
+};
+
+/**
+ * Get the display name of a circuit breaker
+ * @param {string} key - Circuit breaker key
+ * @returns {string} "@username", "@username (stories)", or a label for the shared rate limit circuit
+ */
+function formatKey(key) {
+  if (key === RATE_LIMIT_BREAKER_KEY) {
+    return 'Rate limit (all accounts)';
+  }
+  return key.endsWith(STORY_BREAKER_KEY_SUFFIX)
+    ? `@${key.slice(0, -STORY_BREAKER_KEY_SUFFIX.length)} (stories)`
+    : `@${key}`;
+}
+
+/**
+ * Format a duration in milliseconds as minutes or hours
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration, e.g. "20 min" or "6 h"
+ */
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes < 120 ? `${minutes} min` : `${Math.round(minutes / 60)} h`;
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('breaker')
+    .setDescription('Show or reset the circuit breakers that pause checks of failing accounts')
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List accounts with failed checks and when they are tried again'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('reset')
+        .setDescription('Reset the circuit breaker of an account so it is checked again')
+        .addStringOption(option =>
+          option.setName('username')
+            .setDescription('Instagram username')
+            .setRequired(true)
+            .setAutocomplete(true)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('reset-all')
+        .setDescription('Reset every circuit breaker'))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  async autocomplete(interaction, { database }) {
+    const focusedValue = interaction.options.getFocused().toLowerCase();
+    const settings = database.getAllNotificationSettingsForGuild(interaction.guildId);
+
+    const usernames = [...new Set(settings.map(s => s.username))];
+
+    const filtered = usernames
+      .filter(username => username.toLowerCase().includes(focusedValue))
+      .slice(0, 25)
+      .map(username => ({ name: `@${username}`, value: username }));
+
+    await interaction.respond(filtered);
+  },
+
+  async execute(interaction, { database, monitor }) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+      if (subcommand === 'reset') {
+        await this.resetBreaker(interaction, database, monitor);
+      } else if (subcommand === 'reset-all') {
+        const count = monitor.getCircuitBreakerStatuses().length;
+        monitor.resetAllCircuitBreakers();
+
+        await interaction.editReply({
+          content: count > 0
+            ? `Reset ${count} circuit breaker(s). The accounts are checked again on their next scheduled check.`
+            : 'No circuit breakers to reset.'
+        });
+      } else {
+        await this.listBreakers(interaction, monitor);
+      }
+    } catch (error) {
+      console.error('[Command:Breaker] Error:', error);
+      await interaction.editReply({
+        content: `Failed to ${subcommand.replace('-', ' ')} circuit breakers: ${error.message}`
+      });
+    }
+  },
+
+  /**
+   * Reset the circuit breaker of one account
+   * @param {Interaction} interaction - Discord interaction
+   * @param {DatabaseService} database - Database service
+   * @param {MonitorService} monitor - Monitor service
+   */
+  async resetBreaker(interaction, database, monitor) {
+    const username = interaction.options.getString('username').replace('@', '');
+
+    if (!database.getInstagramAccount(username)) {
+      return await interaction.editReply({
+        content: `Account @${username} is not being tracked.`
+      });
+    }
+
+    const status = monitor.getCircuitBreakerStatuses().find(s => s.key === username);
+    if (!status) {
+      return await interaction.editReply({
+        content: `The circuit breaker of @${username} is closed with no recent failures.`
+      });
+    }
+
+    monitor.resetCircuitBreaker(username);
+
+    await interaction.editReply({
+      content: `Reset the circuit breaker of @${username} (was ${status.state}, ${status.failures} failure(s)). ` +
+               'It is checked again on its next scheduled check.'
+    });
+  },
+
+  /**
+   * List circuit breakers with failures, open circuits first
+   * @param {Interaction} interaction - Discord interaction
+   * @param {MonitorService} monitor - Monitor service
+   */
+  async listBreakers(interaction, monitor) {
+    const statuses = monitor.getCircuitBreakerStatuses();
+    const events = monitor.getCircuitBreakerEvents().slice(0, 5);
+
+    if (statuses.length === 0 && events.length === 0) {
+      return await interaction.editReply({
+        content: '🟢 All circuit breakers are closed. No account has failed recently.'
+      });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(statuses.some(status => status.state === 'open') ? '#FF0000' : '#FFA500')
+      .setTitle('Circuit Breakers')
+      .setDescription(
+        `An account's checks are paused after ${CIRCUIT_BREAKER_FAILURE_THRESHOLD} consecutive failures, ` +
+        'twice as long after every trip in a row. Once the breaker turns half-open, one trial check decides: ' +
+        'success closes it, failure opens it again.'
+      )
+      .setTimestamp();
+
+    for (const status of statuses.slice(0, 24)) {
+      let value = `${STATE_LABELS[status.state]} • ${status.failures} failure(s)`;
+
+      if (status.state === 'open') {
+        const halfOpenAt = Math.floor((Date.now() + status.remainingResetTime) / 1000);
+        value += `\nTrip ${status.trips} in a row, paused for ${formatDuration(status.resetTimeout)}` +
+                 `\nHalf-open <t:${halfOpenAt}:R>`;
+      } else if (status.state === 'half-open') {
+        value += '\nTrial check on the next run';
+      }
+
+      embed.addFields({ name: formatKey(status.key), value, inline: true });
+    }
+
+    if (events.length > 0) {
+      const lines = events.map(event =>
+        `<t:${Math.floor(new Date(event.at).getTime() / 1000)}:R> ${formatKey(event.key)}: ${event.from} → ${event.to}`
+      );
+      embed.addFields({ name: 'Recent Transitions', value: lines.join('\n'), inline: false });
+    }
+
+    if (statuses.length > 24) {
+      embed.setFooter({ text: `Showing 24 of ${statuses.length} circuit breakers` });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+};
@@ -1,4 +1,5 @@
 import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { describeFetchFailure } from '../utils/fetchErrors.js';
 
 export default {
   data: new SlashCommandBuilder()
@@ -48,11 +49,15 @@ export default {
 
       const updatedAccount = database.getInstagramAccount(username);
 
-      await interaction.editReply({
-        content: `Check completed for @${username}.\n` +
-                 `Last post ID: ${updatedAccount.last_post_id || 'None'}\n` +
-                 `Last checked: <t:${Math.floor(new Date(updatedAccount.last_checked).getTime() / 1000)}:R>`
-      });
+      let responseMessage = `Check completed for @${username}.\n` +
+                            `Last post ID: ${updatedAccount.last_post_id || 'None'}\n` +
+                            `Last checked: <t:${Math.floor(new Date(updatedAccount.last_checked).getTime() / 1000)}:R>`;
+
+      if (updatedAccount.last_fetch_error) {
+        responseMessage += `\n⚠️ Fetching posts failed: ${describeFetchFailure(updatedAccount.last_fetch_error)}`;
+      }
+
+      await interaction.editReply({ content: responseMessage });
 
     } catch (error) {
       console.error('[Command:Check] Error:', error);
@@ -0,0 +1,253 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { validateTemplate } from '../utils/template.js';
+import { isValidTimezone } from '../utils/helpers.js';
+
+const RESETTABLE_SETTINGS = {
+  template: 'defaultTemplate',
+  mention_role: 'defaultMentionRoleId',
+  timezone: 'timezone',
+  quiet_hours: ['quietHoursStart', 'quietHoursEnd']
+};
+
+/**
+ * Convert a guild_settings row into setGuildSettings() values
+ * @param {Object|null} row - Guild settings row
+ * @returns {Object} Guild settings values
+ */
+function toSettingsValues(row) {
+  return {
+    defaultTemplate: row?.default_template ?? null,
+    defaultMentionRoleId: row?.default_mention_role_id ?? null,
+    timezone: row?.timezone ?? null,
+    quietHoursStart: row?.quiet_hours_start ?? null,
+    quietHoursEnd: row?.quiet_hours_end ?? null,
+    activeSchedule: row?.active_schedule ?? null
+  };
+}
+
+/**
+ * Format an hour as HH:00
+ * @param {number} hour - Hour (0-23)
+ * @returns {string} Formatted hour
+ */
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('View or change server-wide defaults')
+    .addSubcommand(subcommand =>
+      subcommand.setName('get')
+        .setDescription('Show this server\'s configuration'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('set')
+        .setDescription('Change server-wide defaults')
+        .addStringOption(option =>
+          option.setName('template')
+            .setDescription('Default message template for channels without a custom message')
+            .setRequired(false)
+            .setMaxLength(1000))
+        .addRoleOption(option =>
+          option.setName('mention_role')
+            .setDescription('Default role to mention for channels without one')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('timezone')
+            .setDescription('Timezone for quiet hours, e.g. Europe/Berlin')
+            .setRequired(false)
+            .setAutocomplete(true))
+        .addIntegerOption(option =>
+          option.setName('quiet_start')
+            .setDescription('Hour quiet hours begin (0-23)')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(23))
+        .addIntegerOption(option =>
+          option.setName('quiet_end')
+            .setDescription('Hour quiet hours end (0-23)')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(23)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('reset')
+        .setDescription('Restore defaults')
+        .addStringOption(option =>
+          option.setName('setting')
+            .setDescription('Setting to reset (default: all)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Default template', value: 'template' },
+              { name: 'Default mention role', value: 'mention_role' },
+              { name: 'Timezone', value: 'timezone' },
+              { name: 'Quiet hours', value: 'quiet_hours' }
+            )))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  async autocomplete(interaction) {
+    const focusedValue = interaction.options.getFocused().toLowerCase();
+
+    const filtered = Intl.supportedValuesOf('timeZone')
+      .filter(timezone => timezone.toLowerCase().includes(focusedValue))
+      .slice(0, 25)
+      .map(timezone => ({ name: timezone, value: timezone }));
+
+    await interaction.respond(filtered);
+  },
+
+  async execute(interaction, { database, monitor }) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+      if (subcommand === 'set') {
+        const error = this.updateSettings(interaction, database);
+        if (error) {
+          return await interaction.editReply({ content: error });
+        }
+      } else if (subcommand === 'reset') {
+        this.resetSettings(interaction, database);
+      }
+
+      const heading = subcommand === 'get' ? null : 'Configuration updated.';
+      await interaction.editReply({
+        content: heading,
+        embeds: [this.buildConfigEmbed(interaction, database, monitor)]
+      });
+
+    } catch (error) {
+      console.error('[Command:Config] Error:', error);
+      await interaction.editReply({
+        content: `Failed to ${subcommand} configuration: ${error.message}`
+      });
+    }
+  },
+
+  /**
+   * Apply the options of /config set
+   * @param {Interaction} interaction - Discord interaction
+   * @param {DatabaseService} database - Database service
+   * @returns {string|null} Validation error, or null on success
+   */
+  updateSettings(interaction, database) {
+    const values = toSettingsValues(database.getGuildSettings(interaction.guildId));
+
+    const template = interaction.options.getString('template');
+    const mentionRole = interaction.options.getRole('mention_role');
+    const timezone = interaction.options.getString('timezone');
+    const quietStart = interaction.options.getInteger('quiet_start');
+    const quietEnd = interaction.options.getInteger('quiet_end');
+
+    if (template !== null) {
+      try {
+        validateTemplate(template);
+      } catch (error) {
+        return `Invalid message template: ${error.message}`;
+      }
+      values.defaultTemplate = template;
+    }
+
+    if (mentionRole) {
+      values.defaultMentionRoleId = mentionRole.id;
+    }
+
+    if (timezone !== null) {
+      if (!isValidTimezone(timezone)) {
+        return `Unknown timezone \`${timezone}\`. Use an IANA name such as \`Europe/Berlin\`.`;
+      }
+      values.timezone = timezone;
+    }
+
+    if (quietStart !== null) values.quietHoursStart = quietStart;
+    if (quietEnd !== null) values.quietHoursEnd = quietEnd;
+
+    if ((values.quietHoursStart === null) !== (values.quietHoursEnd === null)) {
+      return 'Set both `quiet_start` and `quiet_end` to enable quiet hours.';
+    }
+    if (values.quietHoursStart !== null && values.quietHoursStart === values.quietHoursEnd) {
+      return 'Quiet hours must start and end at different hours.';
+    }
+
+    database.setGuildSettings(interaction.guildId, values);
+    return null;
+  },
+
+  /**
+   * Apply /config reset
+   * @param {Interaction} interaction - Discord interaction
+   * @param {DatabaseService} database - Database service
+   */
+  resetSettings(interaction, database) {
+    const setting = interaction.options.getString('setting');
+
+    if (!setting) {
+      database.removeGuildSettings(interaction.guildId);
+      return;
+    }
+
+    const values = toSettingsValues(database.getGuildSettings(interaction.guildId));
+    for (const key of [].concat(RESETTABLE_SETTINGS[setting])) {
+      values[key] = null;
+    }
+    database.setGuildSettings(interaction.guildId, values);
+  },
+
+  /**
+   * Build an embed showing the effective configuration and where each value comes from
+   * @param {Interaction} interaction - Discord interaction
+   * @param {DatabaseService} database - Database service
+   * @param {MonitorService} monitor - Monitor service
+   * @returns {EmbedBuilder} Configuration embed
+   */
+  buildConfigEmbed(interaction, database, monitor) {
+    const settings = database.getGuildSettings(interaction.guildId);
+    const timezone = settings?.timezone || monitor.activeHoursTimezone;
+
+    const { schedule, source } = monitor.getGuildSchedule(interaction.guildId);
+
+    let quietHours;
+    if (source === 'server') {
+      quietHours = `Outside \`${settings.active_schedule}\` (set with /schedule)`;
+    } else if (source === 'quiet_hours') {
+      quietHours = `${formatHour(settings.quiet_hours_start)} - ${formatHour(settings.quiet_hours_end)}`;
+    } else if (schedule) {
+      quietHours = `Outside \`${schedule.spec}\` (default)`;
+    } else {
+      quietHours = 'None (default)';
+    }
+
+    const isQuiet = monitor.isGuildInQuietHours(interaction.guildId);
+
+    return new EmbedBuilder()
+      .setColor('#E1306C')
+      .setTitle('Server Configuration')
+      .setDescription('Channel settings from `/track` and `/update` take precedence over these defaults.')
+      .addFields(
+        {
+          name: 'Default Template',
+          value: settings?.default_template
+            ? `\`\`\`${settings.default_template.substring(0, 1000)}\`\`\``
+            : 'Built-in message (default)',
+          inline: false
+        },
+        {
+          name: 'Default Mention Role',
+          value: settings?.default_mention_role_id ? `<@&${settings.default_mention_role_id}>` : 'None (default)',
+          inline: true
+        },
+        {
+          name: 'Timezone',
+          value: settings?.timezone ? timezone : `${timezone} (default)`,
+          inline: true
+        },
+        {
+          name: 'Quiet Hours',
+          value: `${quietHours}\n${isQuiet ? '⏸️ Currently quiet' : '🟢 Currently active'}`,
+          inline: false
+        }
+      )
+      .setTimestamp();
+  }
+};
@@ -0,0 +1,178 @@
+import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import {
+  EMBED_FOOTER_MAX_LENGTH,
+  INSTAGRAM_ICON_URL,
+  parseHexColor,
+  resolveEmbedConfig
+} from '../utils/embedConfig.js';
+
+/**
+ * Add the username and channel options shared by every subcommand
+ * @param {SlashCommandSubcommandBuilder} subcommand - Subcommand builder
+ * @returns {SlashCommandSubcommandBuilder} Subcommand builder
+ */
+function addTargetOptions(subcommand) {
+  return subcommand
+    .addStringOption(option =>
+      option.setName('username')
+        .setDescription('Instagram username')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addChannelOption(option =>
+      option.setName('channel')
+        .setDescription('Notification channel to configure')
+        .setRequired(true));
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('embed')
+    .setDescription('Customize how notifications look in a channel')
+    .addSubcommand(subcommand =>
+      addTargetOptions(subcommand.setName('set')
+        .setDescription('Change the embed layout and show a preview'))
+        .addStringOption(option =>
+          option.setName('style')
+            .setDescription('Send a rich embed or only the plain link')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Rich embed', value: 'embed' },
+              { name: 'Plain link only', value: 'link' }
+            ))
+        .addStringOption(option =>
+          option.setName('color')
+            .setDescription('Embed color as hex, e.g. #E1306C')
+            .setRequired(false))
+        .addBooleanOption(option =>
+          option.setName('caption')
+            .setDescription('Show the post caption')
+            .setRequired(false))
+        .addBooleanOption(option =>
+          option.setName('image')
+            .setDescription('Show the post image')
+            .setRequired(false))
+        .addStringOption(option =>
+          option.setName('footer')
+            .setDescription('Footer text')
+            .setRequired(false)
+            .setMaxLength(EMBED_FOOTER_MAX_LENGTH))
+        .addStringOption(option =>
+          option.setName('author')
+            .setDescription('How the account is shown at the top of the embed')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Display name and @username', value: 'full' },
+              { name: '@username only', value: 'username' },
+              { name: 'Hidden', value: 'none' }
+            )))
+    .addSubcommand(subcommand =>
+      addTargetOptions(subcommand.setName('preview')
+        .setDescription('Preview the current layout')))
+    .addSubcommand(subcommand =>
+      addTargetOptions(subcommand.setName('reset')
+        .setDescription('Restore the default layout')))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  async autocomplete(interaction, { database }) {
+    const focusedValue = interaction.options.getFocused().toLowerCase();
+    const settings = database.getAllNotificationSettingsForGuild(interaction.guildId);
+
+    const usernames = [...new Set(settings.map(s => s.username))];
+
+    const filtered = usernames
+      .filter(username => username.toLowerCase().includes(focusedValue))
+      .slice(0, 25)
+      .map(username => ({ name: `@${username}`, value: username }));
+
+    await interaction.respond(filtered);
+  },
+
+  async execute(interaction, { database, notification }) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+    const username = interaction.options.getString('username').replace('@', '');
+    const channel = interaction.options.getChannel('channel');
+
+    try {
+      const igAccount = database.getInstagramAccount(username);
+      const setting = igAccount
+        ? database.getNotificationSetting(igAccount.id, interaction.guildId, channel.id)
+        : null;
+
+      if (!setting) {
+        return await interaction.editReply({
+          content: `@${username} is not tracked in ${channel}. Use \`/track\` first.`
+        });
+      }
+
+      if (subcommand === 'set') {
+        const current = resolveEmbedConfig(setting);
+        const colorInput = interaction.options.getString('color');
+        let color = current.color;
+
+        if (colorInput) {
+          try {
+            color = parseHexColor(colorInput);
+          } catch (error) {
+            return await interaction.editReply({ content: error.message });
+          }
+        }
+
+        database.setEmbedConfig(igAccount.id, interaction.guildId, channel.id, {
+          mode: interaction.options.getString('style') ?? current.mode,
+          color,
+          showCaption: interaction.options.getBoolean('caption') ?? current.showCaption,
+          showImage: interaction.options.getBoolean('image') ?? current.showImage,
+          footer: interaction.options.getString('footer') ?? setting.embed_footer,
+          authorStyle: interaction.options.getString('author') ?? current.authorStyle
+        });
+      } else if (subcommand === 'reset') {
+        database.setEmbedConfig(igAccount.id, interaction.guildId, channel.id, {
+          ...resolveEmbedConfig(),
+          footer: null
+        });
+      }
+
+      const updated = database.getNotificationSetting(igAccount.id, interaction.guildId, channel.id);
+      const preview = this.buildPreview(notification, igAccount, updated);
+
+      const heading = subcommand === 'preview'
+        ? `Current layout for @${username} in ${channel}:`
+        : `Updated layout for @${username} in ${channel}. Preview:`;
+
+      await interaction.editReply({
+        content: `${heading}\n\n${preview.content}`,
+        embeds: preview.embeds,
+        allowedMentions: { parse: [] }
+      });
+
+    } catch (error) {
+      console.error('[Command:Embed] Error:', error);
+      await interaction.editReply({
+        content: `Failed to ${subcommand} embed for @${username}: ${error.message}`
+      });
+    }
+  },
+
+  /**
+   * Render a sample notification with the setting's layout
+   * @param {NotificationService} notification - Notification service
+   * @param {Object} igAccount - Instagram account
+   * @param {Object} setting - Notification setting
+   * @returns {Object} Message payload
+   */
+  buildPreview(notification, igAccount, setting) {
+    const samplePost = {
+      id: 'preview',
+      url: `https://www.instagram.com/${igAccount.username}/`,
+      title: '',
+      description: 'This is a preview of how new posts will look in this channel. #preview',
+      publishedAt: new Date(),
+      thumbnail: INSTAGRAM_ICON_URL,
+      mediaType: 'image'
+    };
+
+    return notification.buildPayload(samplePost, igAccount, setting);
+  }
+};
@@ -0,0 +1,182 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import {
+  FILTER_MODES,
+  FILTER_TYPES,
+  normalizeFilterValue,
+  validateFilterRule
+} from '../utils/captionFilter.js';
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('filter')
+    .setDescription('Manage caption filter rules for notifications')
+    .addSubcommand(subcommand =>
+      subcommand.setName('add')
+        .setDescription('Add an include or exclude rule to a notification channel')
+        .addStringOption(option =>
+          option.setName('username')
+            .setDescription('Instagram username')
+            .setRequired(true)
+            .setAutocomplete(true))
+        .addChannelOption(option =>
+          option.setName('channel')
+            .setDescription('Notification channel the rule applies to')
+            .setRequired(true))
+        .addStringOption(option =>
+          option.setName('mode')
+            .setDescription('Only announce matching posts (include) or suppress them (exclude)')
+            .setRequired(true)
+            .addChoices(...FILTER_MODES.map(mode => ({ name: mode, value: mode }))))
+        .addStringOption(option =>
+          option.setName('type')
+            .setDescription('How the value is matched against the caption')
+            .setRequired(true)
+            .addChoices(...FILTER_TYPES.map(type => ({ name: type, value: type }))))
+        .addStringOption(option =>
+          option.setName('value')
+            .setDescription('Keyword, hashtag (with or without #) or regular expression')
+            .setRequired(true)
+            .setMaxLength(200)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('remove')
+        .setDescription('Remove a filter rule')
+        .addIntegerOption(option =>
+          option.setName('id')
+            .setDescription('Rule ID (see /filter list)')
+            .setRequired(true)
+            .setMinValue(1)))
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('List filter rules in this server')
+        .addStringOption(option =>
+          option.setName('username')
+            .setDescription('Only show rules for this Instagram username')
+            .setRequired(false)
+            .setAutocomplete(true)))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  async autocomplete(interaction, { database }) {
+    const focusedValue = interaction.options.getFocused().toLowerCase();
+    const settings = database.getAllNotificationSettingsForGuild(interaction.guildId);
+
+    const usernames = [...new Set(settings.map(s => s.username))];
+
+    const filtered = usernames
+      .filter(username => username.toLowerCase().includes(focusedValue))
+      .slice(0, 25)
+      .map(username => ({ name: `@${username}`, value: username }));
+
+    await interaction.respond(filtered);
+  },
+
+  async execute(interaction, { database }) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+      if (subcommand === 'add') {
+        await this.addRule(interaction, database);
+      } else if (subcommand === 'remove') {
+        await this.removeRule(interaction, database);
+      } else {
+        await this.listRules(interaction, database);
+      }
+    } catch (error) {
+      console.error('[Command:Filter] Error:', error);
+      await interaction.editReply({
+        content: `Failed to ${subcommand} filter: ${error.message}`
+      });
+    }
+  },
+
+  async addRule(interaction, database) {
+    const username = interaction.options.getString('username').replace('@', '');
+    const channel = interaction.options.getChannel('channel');
+    const mode = interaction.options.getString('mode');
+    const type = interaction.options.getString('type');
+    const value = normalizeFilterValue(type, interaction.options.getString('value'));
+
+    try {
+      validateFilterRule(mode, type, value);
+    } catch (error) {
+      return await interaction.editReply({ content: error.message });
+    }
+
+    const igAccount = database.getInstagramAccount(username);
+    const setting = igAccount
+      ? database.getNotificationSetting(igAccount.id, interaction.guildId, channel.id)
+      : null;
+
+    if (!setting) {
+      return await interaction.editReply({
+        content: `@${username} is not tracked in ${channel}. Use \`/track\` first.`
+      });
+    }
+
+    const result = database.addNotificationFilter(setting.id, mode, type, value);
+
+    if (result.changes === 0) {
+      return await interaction.editReply({
+        content: `That rule already exists for @${username} in ${channel}.`
+      });
+    }
+
+    await interaction.editReply({
+      content: `Added rule #${result.lastInsertRowid} for @${username} in ${channel}: ` +
+               `**${mode}** ${type} \`${type === 'hashtag' ? '#' : ''}${value}\``
+    });
+  },
+
+  async removeRule(interaction, database) {
+    const id = interaction.options.getInteger('id');
+    const result = database.removeNotificationFilter(id, interaction.guildId);
+
+    await interaction.editReply({
+      content: result.changes > 0
+        ? `Removed filter rule #${id}.`
+        : `No filter rule #${id} found in this server.`
+    });
+  },
+
+  async listRules(interaction, database) {
+    const username = interaction.options.getString('username')?.replace('@', '');
+    const rules = database.getNotificationFiltersForGuild(interaction.guildId)
+      .filter(rule => !username || rule.username === username);
+
+    if (rules.length === 0) {
+      return await interaction.editReply({
+        content: username
+          ? `No filter rules configured for @${username} in this server.`
+          : 'No filter rules configured in this server.'
+      });
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor('#E1306C')
+      .setTitle('Caption Filter Rules')
+      .setDescription('Exclude rules always win. If a channel has include rules, a post must match at least one.')
+      .setTimestamp();
+
+    // Group rules by account and channel
+    const grouped = rules.reduce((acc, rule) => {
+      const key = `${rule.username}:${rule.channel_id}`;
+      if (!acc[key]) {
+        acc[key] = { username: rule.username, channelId: rule.channel_id, lines: [] };
+      }
+      const value = `${rule.type === 'hashtag' ? '#' : ''}${rule.value}`;
+      acc[key].lines.push(`#${rule.id} **${rule.mode}** ${rule.type} \`${value}\``);
+      return acc;
+    }, {});
+
+    for (const group of Object.values(grouped).slice(0, 25)) {
+      embed.addFields({
+        name: `@${group.username}`,
+        value: `<#${group.channelId}>\n${group.lines.join('\n')}`.substring(0, 1024),
+        inline: false
+      });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+};
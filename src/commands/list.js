@@ -47,6 +47,18 @@ export default {
             fieldValue += ` (mentions <@&${setting.mention_role_id}>)`;
           }
 
+          if (setting.content_types && setting.content_types !== 'feed,reels') {
+            fieldValue += ` [${setting.content_types.split(',').join(', ')}]`;
+          }
+
+          if (setting.media_types) {
+            fieldValue += ` [formats: ${setting.media_types.split(',').join(', ')}]`;
+          }
+
+          if (setting.delivery_mode && setting.delivery_mode !== 'realtime') {
+            fieldValue += ` [${setting.delivery_mode} digest]`;
+          }
+
           fieldValue += '\n';
 
           if (setting.custom_message && setting.custom_message !== 'New post from {username}: {url}') {
@@ -54,8 +66,10 @@ export default {
           }
         }
 
+        const tier = accountSettings[0].check_tier;
+
         embed.addFields({
-          name: `@${username}`,
+          name: tier && tier !== 'normal' ? `@${username} (${tier} tier)` : `@${username}`,
           value: fieldValue || 'No channels configured',
           inline: false
         });
@@ -0,0 +1,192 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { ALL_COMMANDS } from '../utils/permissions.js';
+
+/**
+ * Add the command, role and user options shared by allow and revoke
+ * @param {SlashCommandSubcommandBuilder} subcommand - Subcommand builder
+ * @returns {SlashCommandSubcommandBuilder} Subcommand builder
+ */
+function addRuleOptions(subcommand) {
+  return subcommand
+    .addStringOption(option =>
+      option.setName('command')
+        .setDescription('Command name, or * for all commands')
+        .setRequired(true)
+        .setAutocomplete(true))
+    .addRoleOption(option =>
+      option.setName('role')
+        .setDescription('Role the rule applies to')
+        .setRequired(false))
+    .addUserOption(option =>
+      option.setName('user')
+        .setDescription('User the rule applies to')
+        .setRequired(false));
+}
+
+/**
+ * Format a command name for display
+ * @param {string} commandName - Command name or '*'
+ * @returns {string} Display name
+ */
+function formatCommand(commandName) {
+  return commandName === ALL_COMMANDS ? 'all commands' : `/${commandName}`;
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('permissions')
+    .setDescription('Control which roles and users can use bot commands')
+    .addSubcommand(subcommand =>
+      addRuleOptions(subcommand.setName('allow')
+        .setDescription('Allow a role or user to use a command')))
+    .addSubcommand(subcommand =>
+      addRuleOptions(subcommand.setName('revoke')
+        .setDescription('Remove a role or user from a command\'s allow-list')))
+    .addSubcommand(subcommand =>
+      subcommand.setName('list')
+        .setDescription('Show the allow-lists in this server'))
+    .addSubcommand(subcommand =>
+      subcommand.setName('reset')
+        .setDescription('Remove allow-list rules')
+        .addStringOption(option =>
+          option.setName('command')
+            .setDescription('Only reset this command (default: all rules)')
+            .setRequired(false)
+            .setAutocomplete(true)))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  async autocomplete(interaction) {
+    const focusedValue = interaction.options.getFocused().toLowerCase();
+    const commandNames = [ALL_COMMANDS, ...interaction.client.commands.keys()];
+
+    const filtered = commandNames
+      .filter(name => name.includes(focusedValue))
+      .slice(0, 25)
+      .map(name => ({ name: formatCommand(name), value: name }));
+
+    await interaction.respond(filtered);
+  },
+
+  async execute(interaction, { database }) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+      if (subcommand === 'allow' || subcommand === 'revoke') {
+        await this.updateRule(interaction, database, subcommand);
+      } else if (subcommand === 'reset') {
+        await this.resetRules(interaction, database);
+      } else {
+        await this.listRules(interaction, database);
+      }
+    } catch (error) {
+      console.error('[Command:Permissions] Error:', error);
+      await interaction.editReply({
+        content: `Failed to ${subcommand} permissions: ${error.message}`
+      });
+    }
+  },
+
+  /**
+   * Validate the command option against the loaded commands
+   * @param {Interaction} interaction - Discord interaction
+   * @param {string} commandName - Command name option
+   * @returns {boolean} True if the command exists or is '*'
+   */
+  isKnownCommand(interaction, commandName) {
+    return commandName === ALL_COMMANDS || interaction.client.commands.has(commandName);
+  },
+
+  async updateRule(interaction, database, subcommand) {
+    const commandName = interaction.options.getString('command').replace('/', '').trim();
+    const role = interaction.options.getRole('role');
+    const user = interaction.options.getUser('user');
+
+    if (!this.isKnownCommand(interaction, commandName)) {
+      return await interaction.editReply({ content: `Unknown command \`${commandName}\`.` });
+    }
+
+    if (!role === !user) {
+      return await interaction.editReply({ content: 'Choose exactly one role or user.' });
+    }
+
+    const targetType = role ? 'role' : 'user';
+    const target = role || user;
+
+    if (subcommand === 'allow') {
+      const result = database.addGuildPermission(interaction.guildId, commandName, targetType, target.id);
+
+      await interaction.editReply({
+        content: result.changes > 0
+          ? `${target} can now use ${formatCommand(commandName)}.`
+          : `${target} is already allowed to use ${formatCommand(commandName)}.`,
+        allowedMentions: { parse: [] }
+      });
+    } else {
+      const result = database.removeGuildPermission(interaction.guildId, commandName, targetType, target.id);
+
+      await interaction.editReply({
+        content: result.changes > 0
+          ? `Removed ${target} from the allow-list for ${formatCommand(commandName)}.`
+          : `${target} is not on the allow-list for ${formatCommand(commandName)}.`,
+        allowedMentions: { parse: [] }
+      });
+    }
+  },
+
+  async resetRules(interaction, database) {
+    const commandName = interaction.options.getString('command')?.replace('/', '').trim() || null;
+    const result = database.clearGuildPermissions(interaction.guildId, commandName);
+
+    await interaction.editReply({
+      content: commandName
+        ? `Removed ${result.changes} rule(s) for ${formatCommand(commandName)}.`
+        : `Removed all ${result.changes} permission rule(s) in this server.`
+    });
+  },
+
+  async listRules(interaction, database) {
+    const rules = database.getGuildPermissions(interaction.guildId);
+    const adminRoleId = process.env.ADMIN_ROLE_ID;
+
+    const embed = new EmbedBuilder()
+      .setColor('#E1306C')
+      .setTitle('Command Permissions')
+      .setDescription(
+        'Server owners and Administrators can always use every command. ' +
+        'Rules for a specific command replace the rules for all commands.' +
+        (adminRoleId ? `\nMembers with <@&${adminRoleId}> (ADMIN_ROLE_ID) can use every command.` : '')
+      )
+      .setTimestamp();
+
+    if (rules.length === 0) {
+      embed.addFields({
+        name: 'No rules',
+        value: adminRoleId
+          ? 'Only the admin role can use commands.'
+          : 'Anyone with Manage Server can use commands.',
+        inline: false
+      });
+    }
+
+    // Group rules by command
+    const grouped = rules.reduce((acc, rule) => {
+      if (!acc[rule.command_name]) {
+        acc[rule.command_name] = [];
+      }
+      acc[rule.command_name].push(rule.target_type === 'role' ? `<@&${rule.target_id}>` : `<@${rule.target_id}>`);
+      return acc;
+    }, {});
+
+    for (const [commandName, targets] of Object.entries(grouped).slice(0, 25)) {
+      embed.addFields({
+        name: formatCommand(commandName),
+        value: targets.join(', ').substring(0, 1024),
+        inline: false
+      });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  }
+};
@@ -1,14 +1,19 @@
 import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { describeFetchFailure } from '../utils/fetchErrors.js';
 
 export default {
   data: new SlashCommandBuilder()
     .setName('post')
-    .setDescription('Manually post the latest Instagram post from a tracked account')
+    .setDescription('Post the latest Instagram post to the channels that have not received it yet')
     .addStringOption(option =>
       option.setName('username')
         .setDescription('Instagram username to post from')
         .setRequired(true)
         .setAutocomplete(true))
+    .addBooleanOption(option =>
+      option.setName('resend')
+        .setDescription('Also post to channels that already received it')
+        .setRequired(false))
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
   async autocomplete(interaction, { database }) {
@@ -29,6 +34,7 @@ export default {
     await interaction.deferReply({ ephemeral: true });
 
     const username = interaction.options.getString('username').replace('@', '');
+    const resend = interaction.options.getBoolean('resend') ?? false;
 
     try {
       // Check if account is tracked
@@ -55,21 +61,34 @@ export default {
       });
 
       // Fetch the latest post
-      const latestPost = await instagram.getLatestPost(username);
+      const { post: latestPost, reason } = await instagram.getLatestPost(username);
 
       if (!latestPost) {
         return await interaction.editReply({
-          content: `Could not fetch posts from @${username}. The account may be private or there may be an issue with the Instagram service.`
+          content: `Could not fetch posts from @${username}: ${describeFetchFailure(reason)}.`
         });
       }
 
-      // Send notification to all configured channels
-      const results = await notification.sendNotification(latestPost, account, guildSettings);
+      // Channels that already received the post are skipped, so only the ones that missed it get it,
+      // unless the post is deliberately sent again
+      const results = await notification.sendNotification(latestPost, account, guildSettings, 'post', { resend });
 
-      const successCount = results.filter(r => r.success).length;
-      const failCount = results.filter(r => !r.success).length;
+      const sentCount = results.filter(r => r.success && !r.skipped && !r.queued).length;
+      const queuedCount = results.filter(r => r.queued).length;
+      const skippedCount = results.filter(r => r.skipped).length;
+      const retryCount = results.filter(r => !r.success && r.retrying).length;
+      const failCount = results.filter(r => !r.success && !r.retrying).length;
 
-      let responseMessage = `Successfully posted latest content from @${username} to ${successCount} channel(s).`;
+      let responseMessage = `Posted latest content from @${username} to ${sentCount} channel(s).`;
+      if (queuedCount > 0) {
+        responseMessage += `\n${queuedCount} channel(s) will get it in their next digest.`;
+      }
+      if (skippedCount > 0) {
+        responseMessage += `\n${skippedCount} channel(s) already had this post.`;
+      }
+      if (retryCount > 0) {
+        responseMessage += `\n⏳ Could not reach ${retryCount} channel(s) yet; the post will be retried automatically.`;
+      }
       if (failCount > 0) {
         responseMessage += `\n⚠️ Failed to post to ${failCount} channel(s).`;
       }
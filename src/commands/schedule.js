@@ -0,0 +1,210 @@
+import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { validateSchedule } from '../utils/activeSchedule.js';
+
+const SPEC_EXAMPLE = 'mon-fri 07:30-09:00,18:00-23:30; sat,sun 10:00-02:00; !2026-12-24..2026-12-26';
+
+/**
+ * Add the optional username option shared by every subcommand
+ * @param {SlashCommandSubcommandBuilder} subcommand - Subcommand builder
+ * @param {string} description - Option description
+ * @returns {SlashCommandSubcommandBuilder} Subcommand builder
+ */
+function addUsernameOption(subcommand, description) {
+  return subcommand.addStringOption(option =>
+    option.setName('username')
+      .setDescription(description)
+      .setRequired(false)
+      .setAutocomplete(true));
+}
+
+/**
+ * Describe the current or next active window
+ * @param {Object|null} window - Window from MonitorService.getNextActiveWindow()
+ * @param {boolean} restricted - Whether a schedule applies at all
+ * @returns {string} Readable window
+ */
+function formatWindow(window, restricted) {
+  if (!restricted) {
+    return '🟢 Always active';
+  }
+  if (!window) {
+    return '⏸️ No active window within the next year';
+  }
+
+  const start = Math.floor(window.start.getTime() / 1000);
+  const end = Math.floor(window.end.getTime() / 1000);
+
+  return window.isActive
+    ? `🟢 Active now, until <t:${end}:f> (<t:${end}:R>)`
+    : `⏸️ Quiet, next active <t:${start}:f> (<t:${start}:R>) until <t:${end}:t>`;
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('schedule')
+    .setDescription('Control when notifications are sent and accounts are checked')
+    .addSubcommand(subcommand =>
+      addUsernameOption(subcommand.setName('show')
+        .setDescription('Show the schedule and the next active window'),
+      'Also show this account\'s check schedule'))
+    .addSubcommand(subcommand =>
+      addUsernameOption(subcommand.setName('set')
+        .setDescription('Set the active schedule of this server or an account')
+        .addStringOption(option =>
+          option.setName('spec')
+            .setDescription('e.g. mon-fri 09:00-17:30; sat,sun 10:00-14:00; !2026-12-25')
+            .setRequired(true)
+            .setMaxLength(500)),
+      'Set this account\'s check schedule instead (applies to every server)'))
+    .addSubcommand(subcommand =>
+      addUsernameOption(subcommand.setName('clear')
+        .setDescription('Remove the active schedule of this server or an account'),
+      'Clear this account\'s check schedule instead'))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  async autocomplete(interaction, { database }) {
+    const focusedValue = interaction.options.getFocused().toLowerCase();
+    const settings = database.getAllNotificationSettingsForGuild(interaction.guildId);
+
+    const usernames = [...new Set(settings.map(s => s.username))];
+
+    const filtered = usernames
+      .filter(username => username.toLowerCase().includes(focusedValue))
+      .slice(0, 25)
+      .map(username => ({ name: `@${username}`, value: username }));
+
+    await interaction.respond(filtered);
+  },
+
+  async execute(interaction, { database, monitor }) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const subcommand = interaction.options.getSubcommand();
+    const username = interaction.options.getString('username')?.replace('@', '') || null;
+
+    try {
+      let account = null;
+      if (username) {
+        account = database.getInstagramAccount(username);
+        if (!account) {
+          return await interaction.editReply({
+            content: `Account @${username} is not being tracked. Use \`/track\` first.`
+          });
+        }
+      }
+
+      if (subcommand === 'set') {
+        const spec = interaction.options.getString('spec').trim();
+
+        try {
+          validateSchedule(spec);
+        } catch (error) {
+          return await interaction.editReply({
+            content: `Invalid schedule: ${error.message}\nExample: \`${SPEC_EXAMPLE}\``
+          });
+        }
+
+        this.saveSchedule(interaction, database, monitor, account, spec);
+      } else if (subcommand === 'clear') {
+        this.saveSchedule(interaction, database, monitor, account, null);
+      }
+
+      if (account) {
+        account = database.getInstagramAccount(username);
+      }
+
+      const heading = subcommand === 'show' ? null : 'Schedule updated.';
+      await interaction.editReply({
+        content: heading,
+        embeds: [this.buildScheduleEmbed(interaction, database, monitor, account)]
+      });
+
+    } catch (error) {
+      console.error('[Command:Schedule] Error:', error);
+      await interaction.editReply({
+        content: `Failed to ${subcommand} schedule: ${error.message}`
+      });
+    }
+  },
+
+  /**
+   * Store a schedule for the server or an account
+   * @param {Interaction} interaction - Discord interaction
+   * @param {DatabaseService} database - Database service
+   * @param {MonitorService} monitor - Monitor service
+   * @param {Object|null} account - Account to update, or null for the server
+   * @param {string|null} spec - Schedule spec, or null to clear it
+   */
+  saveSchedule(interaction, database, monitor, account, spec) {
+    if (account) {
+      database.setAccountSchedule(account.id, spec);
+      monitor.rescheduleAccount(account.id);
+      return;
+    }
+
+    database.setGuildSchedule(interaction.guildId, spec);
+  },
+
+  /**
+   * Build an embed showing the effective schedules and their next active windows
+   * @param {Interaction} interaction - Discord interaction
+   * @param {DatabaseService} database - Database service
+   * @param {MonitorService} monitor - Monitor service
+   * @param {Object|null} account - Account to include, if any
+   * @returns {EmbedBuilder} Schedule embed
+   */
+  buildScheduleEmbed(interaction, database, monitor, account) {
+    const serverSchedule = monitor.getGuildSchedule(interaction.guildId);
+    const settings = database.getGuildSettings(interaction.guildId);
+
+    let serverSpec;
+    if (serverSchedule.source === 'server') {
+      serverSpec = `\`${settings.active_schedule}\``;
+    } else if (serverSchedule.source === 'quiet_hours') {
+      serverSpec = `Quiet ${settings.quiet_hours_start}:00 - ${settings.quiet_hours_end}:00 (from /config)`;
+    } else if (serverSchedule.schedule) {
+      serverSpec = `\`${serverSchedule.schedule.spec}\` (default)`;
+    } else {
+      serverSpec = 'None (default)';
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor('#E1306C')
+      .setTitle('Active Schedule')
+      .setDescription(`Times are in 24-hour format. Example: \`${SPEC_EXAMPLE}\``)
+      .addFields(
+        {
+          name: 'This Server',
+          value: `${serverSpec}\nTimezone: ${serverSchedule.timezone}`,
+          inline: false
+        },
+        {
+          name: 'Notifications',
+          value: formatWindow(monitor.getNextActiveWindow(serverSchedule), serverSchedule.schedule !== null),
+          inline: false
+        }
+      )
+      .setTimestamp();
+
+    if (account) {
+      const accountSchedule = monitor.getAccountSchedule(account);
+
+      embed.addFields(
+        {
+          name: `@${account.username}`,
+          value: account.active_schedule
+            ? `\`${account.active_schedule}\`\nTimezone: ${accountSchedule.timezone}`
+            : 'No account schedule',
+          inline: false
+        },
+        {
+          name: 'Checks',
+          value: formatWindow(monitor.getNextActiveWindow(accountSchedule), accountSchedule.schedule !== null),
+          inline: false
+        }
+      );
+    }
+
+    return embed;
+  }
+};
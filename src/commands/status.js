@@ -1,4 +1,13 @@
 import { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } from 'discord.js';
+import { formatPeakHours } from '../utils/postingSchedule.js';
+import { OUTBOX_RETENTION_DAYS } from '../utils/constants.js';
+
+const BRIDGE_STATE_LABELS = {
+  healthy: '🟢',
+  unknown: '⚪',
+  degraded: '🟡',
+  dead: '🔴'
+};
 
 export default {
   data: new SlashCommandBuilder()
@@ -27,7 +36,7 @@ export default {
 
       embed.addFields({
         name: 'Check Interval',
-        value: `Every ${status.checkInterval} minutes`,
+        value: `Every ${status.checkInterval} minutes (normal tier)`,
         inline: true
       });
 
@@ -40,7 +49,7 @@ export default {
       // Active hours
       if (status.activeHours) {
         const activeHoursText = status.activeHours.enabled
-          ? `${status.activeHours.start}:00 - ${status.activeHours.end}:00 ${status.activeHours.timezone}\n${status.activeHours.isActive ? '🟢 Currently Active' : '⏸️ Currently Paused'}`
+          ? `\`${status.activeHours.schedule}\` ${status.activeHours.timezone}\n${status.activeHours.isActive ? '🟢 Currently Active' : '⏸️ Currently Paused'}`
           : '24/7 (no restrictions)';
 
         embed.addFields({
@@ -50,6 +59,92 @@ export default {
         });
       }
 
+      // Schedule or quiet hours configured for this server with /schedule or /config
+      const serverSchedule = monitor.getGuildSchedule(interaction.guildId);
+      if (serverSchedule.source !== 'default') {
+        const serverConfig = database.getGuildSettings(interaction.guildId);
+        const scheduleText = serverSchedule.source === 'server'
+          ? `Active \`${serverConfig.active_schedule}\``
+          : `Quiet ${serverConfig.quiet_hours_start}:00 - ${serverConfig.quiet_hours_end}:00`;
+        const isQuiet = monitor.isGuildInQuietHours(interaction.guildId);
+
+        embed.addFields({
+          name: 'Quiet Hours (This Server)',
+          value: `${scheduleText} ${serverSchedule.timezone}\n${isQuiet ? '⏸️ Currently Quiet' : '🟢 Currently Active'}`,
+          inline: false
+        });
+      }
+
+      // Shared circuit that pauses every account after repeated rate limits
+      if (status.rateLimit.state !== 'closed') {
+        const resumeAt = Math.floor((Date.now() + status.rateLimit.remainingResetTime) / 1000);
+        embed.addFields({
+          name: 'Rate Limit',
+          value: status.rateLimit.state === 'open'
+            ? `⏸️ Rate limited repeatedly, all checks paused. Trying again <t:${resumeAt}:R>`
+            : '🟡 Trying one account to see if the rate limit is over',
+          inline: false
+        });
+      }
+
+      // Request budgets per host, shown once a host was rate limited
+      const throttledHosts = status.throttle.hosts.filter(host => host.total429 > 0 || host.blockedForMs > 0);
+      if (status.throttle.pausedForMs > 0 || throttledHosts.length > 0) {
+        const lines = throttledHosts.slice(0, 5).map(host => {
+          let line = `• ${host.host}: ${Math.floor(host.tokens)}/${host.burst} requests available (${host.perMinute}/min), ${host.total429}× 429`;
+          if (host.blockedForMs > 0) {
+            line += `, held until <t:${Math.floor((Date.now() + host.blockedForMs) / 1000)}:R>`;
+          }
+          return line;
+        });
+
+        if (status.throttle.pausedForMs > 0) {
+          const resumeAt = Math.floor((Date.now() + status.throttle.pausedForMs) / 1000);
+          lines.unshift(`⏸️ Every fetch source keeps answering 429, checks paused. Resuming <t:${resumeAt}:R>`);
+        }
+
+        embed.addFields({
+          name: 'Request Throttle',
+          value: lines.join('\n').substring(0, 1024),
+          inline: false
+        });
+      }
+
+      // RSS Bridge instances in the order they are tried
+      const bridges = status.rssBridges;
+      if (bridges.length > 1 || bridges.some(bridge => bridge.state === 'dead' || bridge.state === 'degraded')) {
+        const lines = bridges.slice(0, 5).map(bridge => {
+          let line = `${BRIDGE_STATE_LABELS[bridge.state]} ${new URL(bridge.url).host}`;
+          if (bridge.requests > 0) {
+            line += ` • ${Math.round(bridge.successRate * 100)}% ok`;
+          }
+          if (bridge.avgLatencyMs !== null) {
+            line += bridge.avgLatencyMs < 1000
+              ? ` • ${bridge.avgLatencyMs} ms`
+              : ` • ${(bridge.avgLatencyMs / 1000).toFixed(1)} s`;
+          }
+          if (bridge.state === 'dead' && bridge.nextProbeAt) {
+            line += ` • probed again <t:${Math.floor(new Date(bridge.nextProbeAt).getTime() / 1000)}:R>`;
+          }
+          return line;
+        });
+
+        embed.addFields({
+          name: 'RSS Bridge Instances',
+          value: lines.join('\n').substring(0, 1024),
+          inline: false
+        });
+      }
+
+      // Notifications waiting in the outbox for a retry
+      if (status.outbox.pending > 0 || status.outbox.failed > 0) {
+        embed.addFields({
+          name: 'Notification Outbox',
+          value: `${status.outbox.pending} waiting for retry\n${status.outbox.failed} given up (last ${OUTBOX_RETENTION_DAYS} days)`,
+          inline: false
+        });
+      }
+
       // Server-specific stats
       const guildSettings = database.getAllNotificationSettingsForGuild(interaction.guildId);
       const uniqueAccounts = [...new Set(guildSettings.map(s => s.username))];
@@ -62,12 +157,15 @@ export default {
 
       // Recent checks
       if (allAccounts.length > 0) {
+        const schedules = new Map(status.accounts.map(acc => [acc.username, acc]));
         const recentChecks = allAccounts
           .slice(0, 5)
           .map(acc => {
             const lastChecked = new Date(acc.last_checked);
             const minutesAgo = Math.floor((Date.now() - lastChecked) / 60000);
-            return `• @${acc.username}: ${minutesAgo} min ago`;
+            const schedule = schedules.get(acc.username);
+            const tierText = schedule ? ` (${schedule.checkTier}, every ${schedule.checkIntervalMinutes} min)` : '';
+            return `• @${acc.username}: ${minutesAgo} min ago${tierText}`;
           })
           .join('\n');
 
@@ -78,6 +176,45 @@ export default {
         });
       }
 
+      // Accounts tracked in this server whose last fetch failed
+      const fetchProblems = status.accounts
+        .filter(acc => acc.fetchError && uniqueAccounts.includes(acc.username))
+        .slice(0, 10)
+        .map(acc => {
+          const since = acc.fetchError.since
+            ? ` (since <t:${Math.floor(new Date(`${acc.fetchError.since.replace(' ', 'T')}Z`).getTime() / 1000)}:R>)`
+            : '';
+          return `• @${acc.username}: ${acc.fetchError.description}${since}`;
+        })
+        .join('\n');
+
+      if (fetchProblems) {
+        embed.addFields({
+          name: 'Fetch Problems',
+          value: fetchProblems.substring(0, 1024),
+          inline: false
+        });
+      }
+
+      // Learned posting schedules of accounts tracked in this server
+      const learnedSchedules = status.accounts
+        .filter(acc => acc.postingSchedule && uniqueAccounts.includes(acc.username))
+        .slice(0, 5)
+        .map(acc => {
+          const { postsPerWeek, peakHours, timezone } = acc.postingSchedule;
+          return `• @${acc.username}: ~${postsPerWeek} posts/week, usually ${formatPeakHours(peakHours)} ${timezone}` +
+                 `\n  Polling every ${acc.checkIntervalMinutes} min now (tier: ${acc.tierIntervalMinutes} min)`;
+        })
+        .join('\n');
+
+      if (learnedSchedules) {
+        embed.addFields({
+          name: 'Posting Patterns',
+          value: learnedSchedules.substring(0, 1024),
+          inline: false
+        });
+      }
+
       await interaction.editReply({ embeds: [embed] });
 
     } catch (error) {
@@ -1,47 +1,75 @@
 import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { validateTemplate } from '../utils/template.js';
+import { addNotificationOptions } from '../utils/commandOptions.js';
+import { FETCH_FAILURE_REASONS, describeFetchFailure } from '../utils/fetchErrors.js';
+
+// What the user can do about each fetch failure
+const FAILURE_HINTS = {
+  [FETCH_FAILURE_REASONS.NOT_FOUND]: 'Check the spelling of the username.',
+  [FETCH_FAILURE_REASONS.PRIVATE]: 'Only public accounts can be tracked.',
+  [FETCH_FAILURE_REASONS.RATE_LIMITED]: 'Instagram is limiting requests right now. Try again in a few minutes.',
+  [FETCH_FAILURE_REASONS.NETWORK]: 'Instagram or the feed source may be down. Try again later.',
+  [FETCH_FAILURE_REASONS.PARSE]: 'Instagram may have changed its pages. Try again later, and report it if it keeps happening.',
+  [FETCH_FAILURE_REASONS.EMPTY]: 'Accounts without any posts cannot be tracked yet.'
+};
 
 export default {
-  data: new SlashCommandBuilder()
-    .setName('track')
-    .setDescription('Start tracking an Instagram account')
-    .addStringOption(option =>
-      option.setName('username')
-        .setDescription('Instagram username (without @)')
-        .setRequired(true))
-    .addChannelOption(option =>
-      option.setName('channel')
-        .setDescription('Channel to send notifications to')
-        .setRequired(true))
-    .addStringOption(option =>
-      option.setName('message')
-        .setDescription('Custom notification message (use {username}, {url}, {title})')
-        .setRequired(false))
-    .addRoleOption(option =>
-      option.setName('mention')
-        .setDescription('Role to mention when posting')
-        .setRequired(false))
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
-
-  async execute(interaction, { database, instagram, notification }) {
+  data: addNotificationOptions(
+    new SlashCommandBuilder()
+      .setName('track')
+      .setDescription('Start tracking an Instagram account')
+      .addStringOption(option =>
+        option.setName('username')
+          .setDescription('Instagram username (without @)')
+          .setRequired(true))
+      .addChannelOption(option =>
+        option.setName('channel')
+          .setDescription('Channel to send notifications to')
+          .setRequired(true))
+      .addStringOption(option =>
+        option.setName('message')
+          .setDescription('Custom message template (e.g. {username}, {caption_short}, {#if reel}...{/if})')
+          .setRequired(false))
+      .addRoleOption(option =>
+        option.setName('mention')
+          .setDescription('Role to mention when posting')
+          .setRequired(false))
+  ).setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  async execute(interaction, { database, instagram, notification, monitor }) {
     await interaction.deferReply({ ephemeral: true });
 
     const username = interaction.options.getString('username').replace('@', '');
     const channel = interaction.options.getChannel('channel');
     const customMessage = interaction.options.getString('message');
     const mentionRole = interaction.options.getRole('mention');
+    const announcePinned = interaction.options.getBoolean('announce_pinned');
+    const content = interaction.options.getString('content');
+    const formats = interaction.options.getString('formats');
+    const tier = interaction.options.getString('tier');
+    const delivery = interaction.options.getString('delivery');
+
+    if (customMessage) {
+      try {
+        validateTemplate(customMessage);
+      } catch (error) {
+        return await interaction.editReply({
+          content: `Invalid message template: ${error.message}`
+        });
+      }
+    }
 
     try {
       // Validate Instagram account by trying to fetch posts
       await interaction.editReply(`Checking Instagram account @${username}...`);
 
-      const posts = await instagram.fetchRecentPosts(username);
+      const result = await instagram.fetchRecentPosts(username);
+      const posts = result.posts;
 
       if (posts.length === 0) {
         return await interaction.editReply({
-          content: `Could not find or access Instagram account @${username}. Please verify:\n` +
-                   `• The username is correct\n` +
-                   `• The account is public\n` +
-                   `• The account exists`
+          content: `Could not access Instagram account @${username}: ${describeFetchFailure(result.reason)}.\n` +
+                   FAILURE_HINTS[result.reason]
         });
       }
 
@@ -58,15 +86,45 @@ export default {
         mentionRole?.id
       );
 
-      // Set initial last_post_id to avoid notification spam
-      if (posts[0]) {
-        database.updateLastPostId(igAccount.id, posts[0].id);
+      if (announcePinned !== null) {
+        database.setAnnouncePinned(igAccount.id, interaction.guildId, channel.id, announcePinned);
+      }
+
+      if (content) {
+        database.setContentTypes(igAccount.id, interaction.guildId, channel.id, content.split(','));
+      }
+
+      if (formats) {
+        database.setMediaTypes(
+          igAccount.id,
+          interaction.guildId,
+          channel.id,
+          formats === 'all' ? null : formats.split(',')
+        );
+      }
+
+      if (tier) {
+        database.setCheckTier(igAccount.id, tier);
+        monitor.rescheduleAccount(igAccount.id);
+      }
+
+      if (delivery) {
+        database.setDeliveryMode(igAccount.id, interaction.guildId, channel.id, delivery);
       }
 
+      // Set initial last_post_id to avoid notification spam (pinned posts are never "latest")
+      const latestPost = posts.find(post => !post.isPinned);
+      if (latestPost) {
+        database.updateLastPostId(igAccount.id, latestPost.id);
+      }
+
+      const trackedAccount = database.getInstagramAccount(username);
+      const intervalMinutes = monitor.getCheckIntervalMinutes(trackedAccount);
+
       // Send success message
       let responseMessage = `Successfully started tracking @${username}!\n\n` +
                           `• **Channel:** ${channel}\n` +
-                          `• **Check Interval:** Every ${process.env.CHECK_INTERVAL || 5} minutes\n`;
+                          `• **Check Interval:** Every ${intervalMinutes} minutes (${monitor.getCheckTier(trackedAccount)} tier)\n`;
 
       if (customMessage) {
         responseMessage += `• **Custom Message:** ${customMessage}\n`;
@@ -76,7 +134,27 @@ export default {
         responseMessage += `• **Mention Role:** ${mentionRole}\n`;
       }
 
-      responseMessage += `\nNew posts will be detected within ${process.env.CHECK_INTERVAL || 5} minutes.`;
+      if (announcePinned) {
+        responseMessage += `• **Pinned Posts:** Announced\n`;
+      }
+
+      if (content) {
+        responseMessage += `• **Content:** ${content.split(',').join(', ')}\n`;
+      }
+
+      if (formats) {
+        responseMessage += `• **Formats:** ${formats === 'all' ? 'all' : formats.split(',').join(', ')}\n`;
+      }
+
+      if (delivery && delivery !== 'realtime') {
+        responseMessage += `• **Delivery:** ${delivery} digest\n`;
+      }
+
+      if (content?.includes('stories') && !instagram.hasStorySource()) {
+        responseMessage += `\n⚠️ No story source is configured (\`STORY_FEED_URL\`), so stories will not be announced yet.\n`;
+      }
+
+      responseMessage += `\nNew posts will be detected within ${intervalMinutes} minutes.`;
 
       await interaction.editReply({ content: responseMessage });
 
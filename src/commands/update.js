@@ -1,27 +1,30 @@
 import { SlashCommandBuilder, PermissionFlagsBits } from 'discord.js';
+import { validateTemplate } from '../utils/template.js';
+import { addNotificationOptions } from '../utils/commandOptions.js';
 
 export default {
-  data: new SlashCommandBuilder()
-    .setName('update')
-    .setDescription('Update notification settings for a tracked account')
-    .addStringOption(option =>
-      option.setName('username')
-        .setDescription('Instagram username')
-        .setRequired(true)
-        .setAutocomplete(true))
-    .addChannelOption(option =>
-      option.setName('channel')
-        .setDescription('Channel to update settings for')
-        .setRequired(true))
-    .addStringOption(option =>
-      option.setName('message')
-        .setDescription('New custom notification message (use {username}, {url}, {title})')
-        .setRequired(false))
-    .addRoleOption(option =>
-      option.setName('mention')
-        .setDescription('New role to mention (or none to remove)')
-        .setRequired(false))
-    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+  data: addNotificationOptions(
+    new SlashCommandBuilder()
+      .setName('update')
+      .setDescription('Update notification settings for a tracked account')
+      .addStringOption(option =>
+        option.setName('username')
+          .setDescription('Instagram username')
+          .setRequired(true)
+          .setAutocomplete(true))
+      .addChannelOption(option =>
+        option.setName('channel')
+          .setDescription('Channel to update settings for')
+          .setRequired(true))
+      .addStringOption(option =>
+        option.setName('message')
+          .setDescription('New custom message template (e.g. {username}, {caption_short}, {#if reel}...{/if})')
+          .setRequired(false))
+      .addRoleOption(option =>
+        option.setName('mention')
+          .setDescription('New role to mention')
+          .setRequired(false))
+  ).setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
   async autocomplete(interaction, { database }) {
     const focusedValue = interaction.options.getFocused().toLowerCase();
@@ -37,13 +40,28 @@ export default {
     await interaction.respond(filtered);
   },
 
-  async execute(interaction, { database }) {
+  async execute(interaction, { database, monitor }) {
     await interaction.deferReply({ ephemeral: true });
 
     const username = interaction.options.getString('username').replace('@', '');
     const channel = interaction.options.getChannel('channel');
     const customMessage = interaction.options.getString('message');
     const mentionRole = interaction.options.getRole('mention');
+    const announcePinned = interaction.options.getBoolean('announce_pinned');
+    const content = interaction.options.getString('content');
+    const formats = interaction.options.getString('formats');
+    const tier = interaction.options.getString('tier');
+    const delivery = interaction.options.getString('delivery');
+
+    if (customMessage) {
+      try {
+        validateTemplate(customMessage);
+      } catch (error) {
+        return await interaction.editReply({
+          content: `Invalid message template: ${error.message}`
+        });
+      }
+    }
 
     try {
       const igAccount = database.getInstagramAccount(username);
@@ -54,15 +72,44 @@ export default {
         });
       }
 
+      // Keep the current message and mention unless new ones were given
+      const existing = database.getNotificationSetting(igAccount.id, interaction.guildId, channel.id);
+
       // Update notification settings
       database.addNotificationSetting(
         igAccount.id,
         interaction.guildId,
         channel.id,
-        customMessage,
-        mentionRole?.id
+        customMessage ?? existing?.custom_message ?? null,
+        mentionRole?.id ?? existing?.mention_role_id ?? null
       );
 
+      if (announcePinned !== null) {
+        database.setAnnouncePinned(igAccount.id, interaction.guildId, channel.id, announcePinned);
+      }
+
+      if (content) {
+        database.setContentTypes(igAccount.id, interaction.guildId, channel.id, content.split(','));
+      }
+
+      if (formats) {
+        database.setMediaTypes(
+          igAccount.id,
+          interaction.guildId,
+          channel.id,
+          formats === 'all' ? null : formats.split(',')
+        );
+      }
+
+      if (tier) {
+        database.setCheckTier(igAccount.id, tier);
+        monitor.rescheduleAccount(igAccount.id);
+      }
+
+      if (delivery) {
+        database.setDeliveryMode(igAccount.id, interaction.guildId, channel.id, delivery);
+      }
+
       let responseMessage = `Updated notification settings for @${username} in ${channel}:\n\n`;
 
       if (customMessage) {
@@ -73,8 +120,29 @@ export default {
         responseMessage += `• **Mention Role:** ${mentionRole}\n`;
       }
 
-      if (!customMessage && !mentionRole) {
-        responseMessage += 'No changes specified. Use the `message` or `mention` options to update settings.';
+      if (announcePinned !== null) {
+        responseMessage += `• **Pinned Posts:** ${announcePinned ? 'Announced' : 'Ignored'}\n`;
+      }
+
+      if (content) {
+        responseMessage += `• **Content:** ${content.split(',').join(', ')}\n`;
+      }
+
+      if (formats) {
+        responseMessage += `• **Formats:** ${formats === 'all' ? 'all' : formats.split(',').join(', ')}\n`;
+      }
+
+      if (tier) {
+        const updatedAccount = database.getInstagramAccount(username);
+        responseMessage += `• **Check Tier:** ${tier} (every ${monitor.getCheckIntervalMinutes(updatedAccount)} minutes; applies to every server tracking @${username})\n`;
+      }
+
+      if (delivery) {
+        responseMessage += `• **Delivery:** ${delivery === 'realtime' ? 'realtime' : `${delivery} digest`}\n`;
+      }
+
+      if (!customMessage && !mentionRole && announcePinned === null && !content && !formats && !tier && !delivery) {
+        responseMessage += 'No changes specified. Use the `message`, `mention`, `announce_pinned`, `content`, `formats`, `tier` or `delivery` options to update settings.';
       }
 
       await interaction.editReply({ content: responseMessage });
@@ -7,12 +7,14 @@ import { fileURLToPath } from 'url';
 import DatabaseService from './services/database.js';
 import InstagramService from './services/instagram.js';
 import NotificationService from './services/notification.js';
+import MediaService from './services/media.js';
 import MonitorService from './services/monitor.js';
 import logger from './utils/logger.js';
 import { createLogger } from './utils/logger.js';
 import { validateEnvironment } from './utils/helpers.js';
 import createHealthCheckServer from './utils/healthCheck.js';
 import RateLimiter from './utils/rateLimiter.js';
+import { isCommandAllowed } from './utils/permissions.js';
 import { COMMAND_COOLDOWN_MS, GLOBAL_COMMAND_COOLDOWN_MS } from './utils/constants.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -43,12 +45,14 @@ function validateConfig() {
   // Log optional configuration
   const optionalConfig = {
     checkInterval: process.env.CHECK_INTERVAL || '5 (default)',
-    activeHours: process.env.ACTIVE_HOURS_START && process.env.ACTIVE_HOURS_END
+    activeHours: process.env.ACTIVE_SCHEDULE || (process.env.ACTIVE_HOURS_START && process.env.ACTIVE_HOURS_END
       ? `${process.env.ACTIVE_HOURS_START}:00 - ${process.env.ACTIVE_HOURS_END}:00`
-      : 'Not configured',
+      : 'Not configured'),
     timezone: process.env.ACTIVE_HOURS_TIMEZONE || 'Asia/Tokyo (default)',
     debugMode: process.env.DEBUG_MODE === 'true',
-    rssBridge: process.env.RSS_BRIDGE_URL || 'https://rss-bridge.org/bridge01 (default)'
+    rssBridge: process.env.RSS_BRIDGE_URL || 'https://rss-bridge.org/bridge01 (default)',
+    fetchStrategies: process.env.FETCH_STRATEGIES || 'rssbridge,direct,webscrape (default)',
+    mediaAttachments: process.env.MEDIA_ATTACHMENTS === 'true'
   };
 
   appLogger.info('Configuration loaded', optionalConfig);
@@ -61,7 +65,8 @@ async function createDirectories() {
   const directories = [
     path.join(__dirname, '../data'),
     path.join(__dirname, '../data/logs'),
-    path.join(__dirname, '../data/backups')
+    path.join(__dirname, '../data/backups'),
+    path.join(__dirname, '../data/media')
   ];
 
   for (const dir of directories) {
@@ -95,7 +100,8 @@ async function initializeBot() {
     appLogger.info('Initializing services');
     const database = new DatabaseService();
     const instagram = new InstagramService();
-    const notification = new NotificationService(client, database);
+    const media = new MediaService();
+    const notification = new NotificationService(client, database, media);
     const monitor = new MonitorService(instagram, notification, database);
 
     // Create commands collection
@@ -127,7 +133,7 @@ async function initializeBot() {
     await client.login(process.env.DISCORD_TOKEN);
 
     // Setup graceful shutdown
-    setupGracefulShutdown(client, monitor, database, healthServer);
+    setupGracefulShutdown(client, monitor, notification, instagram, database, media, healthServer);
 
     appLogger.info('Bot initialized successfully');
 
@@ -174,6 +180,17 @@ async function loadCommands(client) {
   appLogger.info('Commands loaded', { count: loadedCount });
 }
 
+/**
+ * Check whether the user behind an interaction may use its command
+ * @param {Interaction} interaction - Discord interaction
+ * @param {DatabaseService} database - Database service
+ * @returns {boolean} True if allowed
+ */
+function checkPermission(interaction, database) {
+  const rules = interaction.inGuild() ? database.getGuildPermissions(interaction.guildId) : [];
+  return isCommandAllowed(interaction, rules, process.env.ADMIN_ROLE_ID || null);
+}
+
 /**
  * Setup Discord event handlers
  * @param {Client} client - Discord client
@@ -192,6 +209,11 @@ function setupEventHandlers(client, services, userRateLimiter, globalRateLimiter
       }
 
       try {
+        if (!checkPermission(interaction, services.database)) {
+          await interaction.respond([]);
+          return;
+        }
+
         await command.autocomplete(interaction, services);
       } catch (error) {
         appLogger.error('Autocomplete error', {
@@ -243,6 +265,25 @@ function setupEventHandlers(client, services, userRateLimiter, globalRateLimiter
       return;
     }
 
+    // Check per-guild allow-lists and ADMIN_ROLE_ID
+    if (!checkPermission(interaction, services.database)) {
+      appLogger.warn('Command denied by permissions', {
+        command: interaction.commandName,
+        user: interaction.user.tag,
+        guild: interaction.guild?.name
+      });
+
+      try {
+        await interaction.reply({
+          content: 'You do not have permission to use this command.',
+          ephemeral: true
+        });
+      } catch (error) {
+        appLogger.error('Failed to send permission denied message', { error: error.message });
+      }
+      return;
+    }
+
     // Execute command
     try {
       appLogger.info('Executing command', {
@@ -294,6 +335,15 @@ function setupEventHandlers(client, services, userRateLimiter, globalRateLimiter
     // Start monitoring
     services.monitor.start();
 
+    // Send hourly, daily and weekly digests
+    services.notification.startDigestSchedule();
+
+    // Retry notifications that could not be delivered, including those left from before a restart
+    services.notification.startOutboxWorker();
+
+    // Bring failed RSS Bridge instances back once they answer again
+    services.instagram.startBridgeProbes();
+
     appLogger.info('Bot is ready and running');
   });
 
@@ -314,10 +364,13 @@ function setupEventHandlers(client, services, userRateLimiter, globalRateLimiter
  * Setup graceful shutdown handlers
  * @param {Client} client - Discord client
  * @param {MonitorService} monitor - Monitor service
+ * @param {NotificationService} notification - Notification service
+ * @param {InstagramService} instagram - Instagram service
  * @param {DatabaseService} database - Database service
+ * @param {MediaService} media - Media service
  * @param {Object} healthServer - Health check server
  */
-function setupGracefulShutdown(client, monitor, database, healthServer) {
+function setupGracefulShutdown(client, monitor, notification, instagram, database, media, healthServer) {
   const shutdown = async (signal) => {
     appLogger.info('Shutdown signal received', { signal });
 
@@ -325,6 +378,9 @@ function setupGracefulShutdown(client, monitor, database, healthServer) {
       // Stop monitoring
       appLogger.info('Stopping monitor');
       monitor.stop();
+      notification.stopDigestSchedule();
+      notification.stopOutboxWorker();
+      instagram.stopBridgeProbes();
 
       // Close health check server
       if (healthServer) {
@@ -332,6 +388,9 @@ function setupGracefulShutdown(client, monitor, database, healthServer) {
         healthServer.close();
       }
 
+      // Stop media cache cleanup
+      media.close();
+
       // Close database
       appLogger.info('Closing database');
       database.close();
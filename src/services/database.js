@@ -10,7 +10,15 @@ import {
 import {
   POST_HISTORY_RETENTION_DAYS,
   DATABASE_BACKUP_RETENTION_DAYS,
-  DATABASE_BACKUP_INTERVAL_HOURS
+  DATABASE_BACKUP_INTERVAL_HOURS,
+  DEFAULT_CONTENT_TYPES,
+  DEFAULT_CHECK_TIER,
+  ADAPTIVE_LEARNING_WINDOW_DAYS,
+  SENT_MESSAGE_VERIFY_WINDOW_DAYS,
+  HELD_POST_RETENTION_DAYS,
+  DEFAULT_DELIVERY_MODE,
+  DIGEST_QUEUE_RETENTION_DAYS,
+  OUTBOX_RETENTION_DAYS
 } from '../utils/constants.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -18,6 +26,30 @@ const __dirname = path.dirname(__filename);
 
 const logger = createLogger('Database');
 
+/**
+ * Convert a Date to SQLite's DATETIME text format (UTC)
+ * @param {Date|null} date - Date to convert
+ * @returns {string|null} Formatted date or null
+ */
+function toSqliteDate(date) {
+  if (!date || isNaN(date.getTime())) return null;
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Restore a post stored as JSON, turning its dates back into Date objects
+ * @param {string} json - Stored post data
+ * @returns {Object} Post object
+ */
+function parsePostData(json) {
+  const post = JSON.parse(json);
+  return {
+    ...post,
+    publishedAt: new Date(post.publishedAt),
+    ...(post.expiresAt && { expiresAt: new Date(post.expiresAt) })
+  };
+}
+
 /**
  * Database Service
  * Handles all database operations with SQLite
@@ -38,6 +70,7 @@ class DatabaseService {
     logger.info('Database initialized', { dbPath: this.dbPath });
 
     this.initializeTables();
+    this.migrateTables();
     this.prepareStatements();
     this.setupBackupSchedule();
   }
@@ -90,16 +123,235 @@ class DatabaseService {
       )
     `);
 
+    // Table for the delivery of each post to each channel
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS post_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        instagram_account_id INTEGER NOT NULL,
+        post_id TEXT NOT NULL,
+        notification_setting_id INTEGER,
+        guild_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        message_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (instagram_account_id) REFERENCES instagram_accounts(id) ON DELETE CASCADE,
+        UNIQUE(instagram_account_id, post_id, channel_id)
+      )
+    `);
+
+    // Table for story history (stories expire, so rows carry their expiry time)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS story_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        instagram_account_id INTEGER NOT NULL,
+        story_id TEXT NOT NULL,
+        story_url TEXT,
+        is_highlight BOOLEAN DEFAULT 0,
+        published_at DATETIME,
+        expires_at DATETIME,
+        notified_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (instagram_account_id) REFERENCES instagram_accounts(id) ON DELETE CASCADE,
+        UNIQUE(instagram_account_id, story_id)
+      )
+    `);
+
+    // Table for caption filter rules per notification setting
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_filters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        notification_setting_id INTEGER NOT NULL,
+        mode TEXT NOT NULL,
+        type TEXT NOT NULL,
+        value TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (notification_setting_id) REFERENCES notification_settings(id) ON DELETE CASCADE,
+        UNIQUE(notification_setting_id, mode, type, value)
+      )
+    `);
+
+    // Table for Discord messages sent per post, so announcements can be edited later
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sent_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        instagram_account_id INTEGER NOT NULL,
+        notification_setting_id INTEGER,
+        post_id TEXT NOT NULL,
+        post_url TEXT,
+        event TEXT DEFAULT 'post',
+        guild_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        caption TEXT,
+        published_at DATETIME,
+        status TEXT DEFAULT 'active',
+        missing_count INTEGER DEFAULT 0,
+        sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME,
+        FOREIGN KEY (instagram_account_id) REFERENCES instagram_accounts(id) ON DELETE CASCADE,
+        UNIQUE(channel_id, message_id)
+      )
+    `);
+
+    // Table for per-guild command allow-lists
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS guild_permissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        command_name TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(guild_id, command_name, target_type, target_id)
+      )
+    `);
+
+    // Table for per-guild configuration overriding env defaults
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS guild_settings (
+        guild_id TEXT PRIMARY KEY,
+        default_template TEXT,
+        default_mention_role_id TEXT,
+        timezone TEXT,
+        quiet_hours_start INTEGER,
+        quiet_hours_end INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Table for posts held back while a guild is in quiet hours
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS held_posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        instagram_account_id INTEGER NOT NULL,
+        notification_setting_id INTEGER NOT NULL,
+        guild_id TEXT NOT NULL,
+        post_id TEXT NOT NULL,
+        post_data TEXT NOT NULL,
+        published_at DATETIME,
+        held_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (instagram_account_id) REFERENCES instagram_accounts(id) ON DELETE CASCADE,
+        UNIQUE(notification_setting_id, post_id)
+      )
+    `);
+
+    // Table for posts waiting for their channel's digest
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS digest_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        instagram_account_id INTEGER NOT NULL,
+        notification_setting_id INTEGER NOT NULL,
+        guild_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        post_id TEXT NOT NULL,
+        event TEXT NOT NULL DEFAULT 'post',
+        post_data TEXT NOT NULL,
+        queued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (instagram_account_id) REFERENCES instagram_accounts(id) ON DELETE CASCADE,
+        UNIQUE(notification_setting_id, post_id, event)
+      )
+    `);
+
+    // Table for notifications waiting to be delivered, one row per channel
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS notification_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        instagram_account_id INTEGER NOT NULL,
+        notification_setting_id INTEGER NOT NULL,
+        guild_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        post_id TEXT NOT NULL,
+        event TEXT NOT NULL DEFAULT 'post',
+        post_data TEXT NOT NULL,
+        check_duplicates BOOLEAN DEFAULT 1,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        message_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (instagram_account_id) REFERENCES instagram_accounts(id) ON DELETE CASCADE,
+        UNIQUE(notification_setting_id, post_id, event)
+      )
+    `);
+
+    // Table for circuit breaker state per account, restored on startup
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS circuit_breakers (
+        breaker_key TEXT PRIMARY KEY,
+        state TEXT NOT NULL DEFAULT 'closed',
+        failures INTEGER DEFAULT 0,
+        last_failure_at DATETIME,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
     // Create indexes for performance
     this.db.exec(`
       CREATE INDEX IF NOT EXISTS idx_ig_username ON instagram_accounts(username);
       CREATE INDEX IF NOT EXISTS idx_notif_channel ON notification_settings(channel_id);
       CREATE INDEX IF NOT EXISTS idx_post_history ON post_history(instagram_account_id, post_id);
+      CREATE INDEX IF NOT EXISTS idx_post_deliveries ON post_deliveries(instagram_account_id, post_id);
+      CREATE INDEX IF NOT EXISTS idx_story_history ON story_history(instagram_account_id, story_id);
+      CREATE INDEX IF NOT EXISTS idx_notif_filters ON notification_filters(notification_setting_id);
+      CREATE INDEX IF NOT EXISTS idx_sent_messages ON sent_messages(instagram_account_id, status);
+      CREATE INDEX IF NOT EXISTS idx_guild_permissions ON guild_permissions(guild_id);
+      CREATE INDEX IF NOT EXISTS idx_held_posts ON held_posts(guild_id);
+      CREATE INDEX IF NOT EXISTS idx_digest_queue ON digest_queue(channel_id);
+      CREATE INDEX IF NOT EXISTS idx_outbox_due ON notification_outbox(status, next_attempt_at);
     `);
 
     logger.info('Database tables initialized successfully');
   }
 
+  /**
+   * Add columns introduced after the initial schema to existing databases
+   */
+  migrateTables() {
+    logger.debug('Migrating database tables');
+
+    this.ensureColumn('instagram_accounts', 'pinned_post_ids', 'TEXT');
+    this.ensureColumn('post_history', 'published_at', 'DATETIME');
+    this.ensureColumn('instagram_accounts', 'check_tier', `TEXT DEFAULT '${DEFAULT_CHECK_TIER}'`);
+    this.ensureColumn('instagram_accounts', 'active_schedule', 'TEXT');
+    this.ensureColumn('guild_settings', 'active_schedule', 'TEXT');
+    this.ensureColumn('notification_settings', 'announce_pinned', 'BOOLEAN DEFAULT 0');
+    this.ensureColumn('notification_settings', 'content_types', `TEXT DEFAULT '${DEFAULT_CONTENT_TYPES}'`);
+    this.ensureColumn('notification_settings', 'media_types', 'TEXT');
+    this.ensureColumn('notification_settings', 'embed_mode', "TEXT DEFAULT 'embed'");
+    this.ensureColumn('notification_settings', 'embed_color', 'TEXT');
+    this.ensureColumn('notification_settings', 'embed_show_caption', 'BOOLEAN DEFAULT 1');
+    this.ensureColumn('notification_settings', 'embed_show_image', 'BOOLEAN DEFAULT 1');
+    this.ensureColumn('notification_settings', 'embed_footer', 'TEXT');
+    this.ensureColumn('notification_settings', 'embed_author_style', "TEXT DEFAULT 'full'");
+    this.ensureColumn('instagram_accounts', 'catch_up_pending', 'BOOLEAN DEFAULT 0');
+    this.ensureColumn('notification_settings', 'delivery_mode', `TEXT DEFAULT '${DEFAULT_DELIVERY_MODE}'`);
+    this.ensureColumn('circuit_breakers', 'trips', 'INTEGER DEFAULT 0');
+    this.ensureColumn('instagram_accounts', 'last_fetch_error', 'TEXT');
+    this.ensureColumn('instagram_accounts', 'last_fetch_error_at', 'DATETIME');
+
+    logger.info('Database tables migrated successfully');
+  }
+
+  /**
+   * Add a column to a table if it does not exist yet
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type and constraints
+   */
+  ensureColumn(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+
+    if (!columns.some(col => col.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      logger.info('Added database column', { table, column });
+    }
+  }
+
   /**
    * Prepare all SQL statements for better performance
    * Statements are prepared once and reused
@@ -126,6 +378,36 @@ class DatabaseService {
         SET last_checked = CURRENT_TIMESTAMP
         WHERE id = ?
       `),
+      setFetchError: this.db.prepare(`
+        UPDATE instagram_accounts
+        SET last_fetch_error_at = CASE
+              WHEN ? IS NULL THEN NULL
+              WHEN last_fetch_error = ? THEN last_fetch_error_at
+              ELSE CURRENT_TIMESTAMP
+            END,
+            last_fetch_error = ?
+        WHERE id = ?
+      `),
+      updatePinnedPosts: this.db.prepare(`
+        UPDATE instagram_accounts
+        SET pinned_post_ids = ?
+        WHERE id = ?
+      `),
+      setCheckTier: this.db.prepare(`
+        UPDATE instagram_accounts
+        SET check_tier = ?
+        WHERE id = ?
+      `),
+      setCatchUpPending: this.db.prepare(`
+        UPDATE instagram_accounts
+        SET catch_up_pending = ?
+        WHERE id = ?
+      `),
+      setAccountSchedule: this.db.prepare(`
+        UPDATE instagram_accounts
+        SET active_schedule = ?
+        WHERE id = ?
+      `),
       removeAccount: this.db.prepare('DELETE FROM instagram_accounts WHERE username = ?'),
       deactivateAccount: this.db.prepare('UPDATE instagram_accounts SET active = 0 WHERE username = ?'),
 
@@ -136,25 +418,144 @@ class DatabaseService {
         ON CONFLICT(instagram_account_id, guild_id, channel_id)
         DO UPDATE SET custom_message = ?, mention_role_id = ?, active = 1
       `),
+      getNotification: this.db.prepare(`
+        SELECT * FROM notification_settings
+        WHERE instagram_account_id = ? AND guild_id = ? AND channel_id = ?
+      `),
+      getNotificationById: this.db.prepare(`
+        SELECT * FROM notification_settings
+        WHERE id = ? AND active = 1
+      `),
       getNotifications: this.db.prepare(`
         SELECT * FROM notification_settings
         WHERE instagram_account_id = ? AND active = 1
       `),
       getNotificationsForGuild: this.db.prepare(`
-        SELECT ns.*, ia.username, ia.display_name
+        SELECT ns.*, ia.username, ia.display_name, ia.check_tier
         FROM notification_settings ns
         JOIN instagram_accounts ia ON ns.instagram_account_id = ia.id
         WHERE ns.guild_id = ? AND ns.active = 1
       `),
+      setAnnouncePinned: this.db.prepare(`
+        UPDATE notification_settings
+        SET announce_pinned = ?
+        WHERE instagram_account_id = ? AND guild_id = ? AND channel_id = ?
+      `),
+      setContentTypes: this.db.prepare(`
+        UPDATE notification_settings
+        SET content_types = ?
+        WHERE instagram_account_id = ? AND guild_id = ? AND channel_id = ?
+      `),
+      setMediaTypes: this.db.prepare(`
+        UPDATE notification_settings
+        SET media_types = ?
+        WHERE instagram_account_id = ? AND guild_id = ? AND channel_id = ?
+      `),
+      setDeliveryMode: this.db.prepare(`
+        UPDATE notification_settings
+        SET delivery_mode = ?
+        WHERE instagram_account_id = ? AND guild_id = ? AND channel_id = ?
+      `),
+      setEmbedConfig: this.db.prepare(`
+        UPDATE notification_settings
+        SET embed_mode = ?, embed_color = ?, embed_show_caption = ?, embed_show_image = ?,
+            embed_footer = ?, embed_author_style = ?
+        WHERE instagram_account_id = ? AND guild_id = ? AND channel_id = ?
+      `),
       removeNotification: this.db.prepare(`
         DELETE FROM notification_settings
         WHERE instagram_account_id = ? AND guild_id = ? AND channel_id = ?
       `),
 
+      // Notification filters
+      addFilter: this.db.prepare(`
+        INSERT OR IGNORE INTO notification_filters (notification_setting_id, mode, type, value)
+        VALUES (?, ?, ?, ?)
+      `),
+      getFilters: this.db.prepare(`
+        SELECT * FROM notification_filters
+        WHERE notification_setting_id = ?
+        ORDER BY id
+      `),
+      getFiltersForGuild: this.db.prepare(`
+        SELECT nf.*, ns.channel_id, ia.username
+        FROM notification_filters nf
+        JOIN notification_settings ns ON nf.notification_setting_id = ns.id
+        JOIN instagram_accounts ia ON ns.instagram_account_id = ia.id
+        WHERE ns.guild_id = ?
+        ORDER BY ia.username, ns.channel_id, nf.id
+      `),
+      removeFilter: this.db.prepare(`
+        DELETE FROM notification_filters
+        WHERE id = ? AND notification_setting_id IN (
+          SELECT id FROM notification_settings WHERE guild_id = ?
+        )
+      `),
+      removeFiltersForSetting: this.db.prepare(`
+        DELETE FROM notification_filters
+        WHERE notification_setting_id IN (
+          SELECT id FROM notification_settings
+          WHERE instagram_account_id = ? AND guild_id = ? AND channel_id = ?
+        )
+      `),
+
+      // Guild permissions
+      addGuildPermission: this.db.prepare(`
+        INSERT OR IGNORE INTO guild_permissions (guild_id, command_name, target_type, target_id)
+        VALUES (?, ?, ?, ?)
+      `),
+      getGuildPermissions: this.db.prepare(`
+        SELECT * FROM guild_permissions
+        WHERE guild_id = ?
+        ORDER BY command_name, target_type, id
+      `),
+      removeGuildPermission: this.db.prepare(`
+        DELETE FROM guild_permissions
+        WHERE guild_id = ? AND command_name = ? AND target_type = ? AND target_id = ?
+      `),
+      clearGuildPermissions: this.db.prepare('DELETE FROM guild_permissions WHERE guild_id = ?'),
+      clearCommandPermissions: this.db.prepare(`
+        DELETE FROM guild_permissions
+        WHERE guild_id = ? AND command_name = ?
+      `),
+
+      // Guild settings
+      getGuildSettings: this.db.prepare('SELECT * FROM guild_settings WHERE guild_id = ?'),
+      setGuildSettings: this.db.prepare(`
+        INSERT INTO guild_settings
+          (guild_id, default_template, default_mention_role_id, timezone, quiet_hours_start, quiet_hours_end, active_schedule)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(guild_id) DO UPDATE SET
+          default_template = excluded.default_template,
+          default_mention_role_id = excluded.default_mention_role_id,
+          timezone = excluded.timezone,
+          quiet_hours_start = excluded.quiet_hours_start,
+          quiet_hours_end = excluded.quiet_hours_end,
+          active_schedule = excluded.active_schedule,
+          updated_at = CURRENT_TIMESTAMP
+      `),
+      setGuildSchedule: this.db.prepare(`
+        INSERT INTO guild_settings (guild_id, active_schedule)
+        VALUES (?, ?)
+        ON CONFLICT(guild_id) DO UPDATE SET
+          active_schedule = excluded.active_schedule,
+          updated_at = CURRENT_TIMESTAMP
+      `),
+      removeGuildSettings: this.db.prepare('DELETE FROM guild_settings WHERE guild_id = ?'),
+
       // Post history
       addPostHistory: this.db.prepare(`
-        INSERT OR IGNORE INTO post_history (instagram_account_id, post_id, post_url)
-        VALUES (?, ?, ?)
+        INSERT OR IGNORE INTO post_history (instagram_account_id, post_id, post_url, published_at)
+        VALUES (?, ?, ?, ?)
+      `),
+      getPostPublishedAt: this.db.prepare(`
+        SELECT published_at FROM post_history
+        WHERE instagram_account_id = ? AND post_id = ?
+      `),
+      getPostTimestamps: this.db.prepare(`
+        SELECT COALESCE(published_at, notified_at) AS posted_at FROM post_history
+        WHERE instagram_account_id = ?
+          AND COALESCE(published_at, notified_at) >= datetime('now', '-${ADAPTIVE_LEARNING_WINDOW_DAYS} days')
       `),
       hasPost: this.db.prepare(`
         SELECT COUNT(*) as count FROM post_history
@@ -163,6 +564,204 @@ class DatabaseService {
       cleanupHistory: this.db.prepare(`
         DELETE FROM post_history
         WHERE notified_at < datetime('now', '-${POST_HISTORY_RETENTION_DAYS} days')
+      `),
+
+      // Post deliveries
+      recordPostDelivery: this.db.prepare(`
+        INSERT INTO post_deliveries
+          (instagram_account_id, post_id, notification_setting_id, guild_id, channel_id, status, attempts, last_error, message_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(instagram_account_id, post_id, channel_id) DO UPDATE SET
+          notification_setting_id = excluded.notification_setting_id,
+          status = excluded.status,
+          attempts = post_deliveries.attempts + excluded.attempts,
+          last_error = excluded.last_error,
+          message_id = COALESCE(excluded.message_id, post_deliveries.message_id),
+          updated_at = CURRENT_TIMESTAMP
+      `),
+      getPostDeliveries: this.db.prepare(`
+        SELECT * FROM post_deliveries
+        WHERE instagram_account_id = ? AND post_id = ?
+        ORDER BY id
+      `),
+      // Posts recorded before deliveries were tracked count as delivered everywhere
+      hasPostDelivery: this.db.prepare(`
+        SELECT
+          EXISTS(
+            SELECT 1 FROM post_deliveries
+            WHERE instagram_account_id = ? AND post_id = ? AND channel_id = ? AND status IN ('sent', 'skipped')
+          ) AS delivered,
+          EXISTS(
+            SELECT 1 FROM post_history
+            WHERE instagram_account_id = ? AND post_id = ?
+          ) AND NOT EXISTS(
+            SELECT 1 FROM post_deliveries
+            WHERE instagram_account_id = ? AND post_id = ?
+          ) AS legacy
+      `),
+      cleanupPostDeliveries: this.db.prepare(`
+        DELETE FROM post_deliveries
+        WHERE updated_at < datetime('now', '-${POST_HISTORY_RETENTION_DAYS} days')
+      `),
+
+      // Sent messages
+      addSentMessage: this.db.prepare(`
+        INSERT OR IGNORE INTO sent_messages
+          (instagram_account_id, notification_setting_id, post_id, post_url, event,
+           guild_id, channel_id, message_id, caption, published_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `),
+      getSentMessagesToVerify: this.db.prepare(`
+        SELECT * FROM sent_messages
+        WHERE instagram_account_id = ? AND status = 'active'
+          AND sent_at >= datetime('now', '-${SENT_MESSAGE_VERIFY_WINDOW_DAYS} days')
+        ORDER BY id
+      `),
+      updateSentMessageCaption: this.db.prepare(`
+        UPDATE sent_messages
+        SET caption = ?, missing_count = 0, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `),
+      markSentMessageSeen: this.db.prepare(`
+        UPDATE sent_messages
+        SET missing_count = 0
+        WHERE id = ? AND missing_count > 0
+      `),
+      incrementSentMessageMissing: this.db.prepare(`
+        UPDATE sent_messages
+        SET missing_count = missing_count + 1
+        WHERE id = ?
+        RETURNING missing_count
+      `),
+      setSentMessageStatus: this.db.prepare(`
+        UPDATE sent_messages
+        SET status = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `),
+      cleanupSentMessages: this.db.prepare(`
+        DELETE FROM sent_messages
+        WHERE sent_at < datetime('now', '-${POST_HISTORY_RETENTION_DAYS} days')
+      `),
+
+      // Held posts
+      holdPost: this.db.prepare(`
+        INSERT OR IGNORE INTO held_posts
+          (instagram_account_id, notification_setting_id, guild_id, post_id, post_data, published_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+      getHeldGuildIds: this.db.prepare('SELECT DISTINCT guild_id FROM held_posts'),
+      getHeldPosts: this.db.prepare(`
+        SELECT hp.*, ia.username, ia.display_name
+        FROM held_posts hp
+        JOIN instagram_accounts ia ON hp.instagram_account_id = ia.id
+        WHERE hp.guild_id = ?
+        ORDER BY COALESCE(hp.published_at, hp.held_at), hp.id
+      `),
+      removeHeldPost: this.db.prepare('DELETE FROM held_posts WHERE id = ?'),
+      cleanupHeldPosts: this.db.prepare(`
+        DELETE FROM held_posts
+        WHERE held_at < datetime('now', '-${HELD_POST_RETENTION_DAYS} days')
+      `),
+
+      // Digest queue
+      queueDigestPost: this.db.prepare(`
+        INSERT OR IGNORE INTO digest_queue
+          (instagram_account_id, notification_setting_id, guild_id, channel_id, post_id, event, post_data)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `),
+      getDigestQueue: this.db.prepare(`
+        SELECT dq.*, ns.delivery_mode, ns.mention_role_id, ns.embed_mode, ns.embed_color,
+          ns.embed_show_image, ns.embed_footer, ns.embed_author_style, ia.username, ia.display_name
+        FROM digest_queue dq
+        JOIN notification_settings ns ON dq.notification_setting_id = ns.id
+        JOIN instagram_accounts ia ON dq.instagram_account_id = ia.id
+        ORDER BY dq.channel_id, dq.id
+      `),
+      removeDigestEntry: this.db.prepare('DELETE FROM digest_queue WHERE id = ?'),
+      cleanupDigestQueue: this.db.prepare(`
+        DELETE FROM digest_queue
+        WHERE queued_at < datetime('now', '-${DIGEST_QUEUE_RETENTION_DAYS} days')
+      `),
+
+      // Notification outbox
+      // An undelivered entry is re-armed (due right away) when the same post is sent to the channel again.
+      // A delivered entry is only re-armed for a deliberate resend.
+      enqueueNotification: this.db.prepare(`
+        INSERT INTO notification_outbox
+          (instagram_account_id, notification_setting_id, guild_id, channel_id, post_id, event, post_data,
+           check_duplicates, next_attempt_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(notification_setting_id, post_id, event) DO UPDATE SET
+          post_data = excluded.post_data,
+          check_duplicates = excluded.check_duplicates,
+          status = 'pending',
+          attempts = 0,
+          next_attempt_at = excluded.next_attempt_at,
+          last_error = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE notification_outbox.status != 'sent' OR ? = 1
+        RETURNING id
+      `),
+      getDueOutboxEntries: this.db.prepare(`
+        SELECT o.*, ia.username, ia.display_name
+        FROM notification_outbox o
+        JOIN instagram_accounts ia ON o.instagram_account_id = ia.id
+        WHERE o.status = 'pending' AND o.next_attempt_at <= datetime('now')
+        ORDER BY o.next_attempt_at, o.id
+        LIMIT ?
+      `),
+      markOutboxSent: this.db.prepare(`
+        UPDATE notification_outbox
+        SET status = 'sent', attempts = attempts + 1, message_id = ?, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `),
+      markOutboxRetry: this.db.prepare(`
+        UPDATE notification_outbox
+        SET attempts = attempts + 1, last_error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `),
+      markOutboxFailed: this.db.prepare(`
+        UPDATE notification_outbox
+        SET status = 'failed', attempts = attempts + 1, last_error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `),
+      getOutboxStats: this.db.prepare(`
+        SELECT status, COUNT(*) as count FROM notification_outbox
+        GROUP BY status
+      `),
+      cleanupOutbox: this.db.prepare(`
+        DELETE FROM notification_outbox
+        WHERE status != 'pending' AND updated_at < datetime('now', '-${OUTBOX_RETENTION_DAYS} days')
+      `),
+
+      // Circuit breakers
+      saveCircuitBreaker: this.db.prepare(`
+        INSERT INTO circuit_breakers (breaker_key, state, failures, last_failure_at, trips)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(breaker_key) DO UPDATE SET
+          state = excluded.state,
+          failures = excluded.failures,
+          last_failure_at = excluded.last_failure_at,
+          trips = excluded.trips,
+          updated_at = CURRENT_TIMESTAMP
+      `),
+      getCircuitBreakers: this.db.prepare('SELECT * FROM circuit_breakers'),
+      removeCircuitBreaker: this.db.prepare('DELETE FROM circuit_breakers WHERE breaker_key = ?'),
+
+      // Story history
+      addStoryHistory: this.db.prepare(`
+        INSERT OR IGNORE INTO story_history
+          (instagram_account_id, story_id, story_url, is_highlight, published_at, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `),
+      hasStory: this.db.prepare(`
+        SELECT COUNT(*) as count FROM story_history
+        WHERE instagram_account_id = ? AND story_id = ?
+      `),
+      cleanupStoryHistory: this.db.prepare(`
+        DELETE FROM story_history
+        WHERE (expires_at IS NOT NULL AND expires_at < datetime('now'))
+           OR (expires_at IS NULL AND notified_at < datetime('now', '-${POST_HISTORY_RETENTION_DAYS} days'))
       `)
     };
 
@@ -247,6 +846,89 @@ class DatabaseService {
     return this.statements.updateLastChecked.run(accountId);
   }
 
+  /**
+   * Record why the last fetch of an account failed
+   * The timestamp is kept while the reason stays the same, so it tells since when
+   * the account has been failing.
+   * @param {number} accountId - Account ID
+   * @param {string|null} reason - Failure reason (see FETCH_FAILURE_REASONS), or null after a successful fetch
+   * @returns {Object} Run result
+   */
+  setFetchError(accountId, reason) {
+    validatePositiveInteger(accountId, 'Account ID');
+
+    logger.debug('Setting fetch error', { accountId, reason });
+    return this.statements.setFetchError.run(reason, reason, reason, accountId);
+  }
+
+  /**
+   * Get the IDs of the posts currently pinned on an account
+   * @param {Object} account - Account object
+   * @returns {string[]|null} Pinned post IDs, or null if never recorded
+   */
+  getPinnedPostIds(account) {
+    if (account.pinned_post_ids === null || account.pinned_post_ids === undefined) {
+      return null;
+    }
+    return account.pinned_post_ids.split(',').filter(Boolean);
+  }
+
+  /**
+   * Update the pinned post IDs for an account
+   * @param {number} accountId - Account ID
+   * @param {string[]} postIds - Currently pinned post IDs
+   * @returns {Object} Run result
+   */
+  updatePinnedPosts(accountId, postIds) {
+    validatePositiveInteger(accountId, 'Account ID');
+
+    logger.debug('Updating pinned posts', { accountId, postIds });
+    return this.statements.updatePinnedPosts.run(postIds.join(','), accountId);
+  }
+
+  /**
+   * Mark whether an account's next check should catch up on a quiet period
+   * @param {number} accountId - Account ID
+   * @param {boolean} pending - True while the account is skipped for quiet hours
+   * @returns {Object} Run result
+   */
+  setCatchUpPending(accountId, pending) {
+    validatePositiveInteger(accountId, 'Account ID');
+
+    logger.debug('Setting catch-up pending', { accountId, pending });
+    return this.statements.setCatchUpPending.run(pending ? 1 : 0, accountId);
+  }
+
+  /**
+   * Set how often an account is checked
+   * @param {number} accountId - Account ID
+   * @param {string} tier - Check tier (see CHECK_TIERS)
+   * @returns {Object} Run result
+   */
+  setCheckTier(accountId, tier) {
+    validatePositiveInteger(accountId, 'Account ID');
+    validateNonEmptyString(tier, 'Check tier');
+
+    logger.info('Setting check tier', { accountId, tier });
+    return this.statements.setCheckTier.run(tier, accountId);
+  }
+
+  /**
+   * Set when an account is checked
+   * @param {number} accountId - Account ID
+   * @param {string|null} spec - Active schedule spec, or null to check around the clock
+   * @returns {Object} Run result
+   */
+  setAccountSchedule(accountId, spec) {
+    validatePositiveInteger(accountId, 'Account ID');
+    if (spec !== null) {
+      validateNonEmptyString(spec, 'Schedule');
+    }
+
+    logger.info('Setting account schedule', { accountId, spec });
+    return this.statements.setAccountSchedule.run(spec, accountId);
+  }
+
   /**
    * Remove Instagram account from tracking
    * @param {string} username - Instagram username
@@ -325,26 +1007,153 @@ class DatabaseService {
   }
 
   /**
-   * Get notification settings for an Instagram account
+   * Enable or disable pinned post announcements for a notification setting
    * @param {number} instagramAccountId - Instagram account ID
-   * @returns {Array} Array of notification settings
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Discord channel ID
+   * @param {boolean} enabled - Whether newly pinned posts are announced
+   * @returns {Object} Run result
    */
-  getNotificationSettings(instagramAccountId) {
+  setAnnouncePinned(instagramAccountId, guildId, channelId, enabled) {
     validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validateNonEmptyString(guildId, 'Guild ID');
+    validateNonEmptyString(channelId, 'Channel ID');
 
-    logger.debug('Getting notification settings', { instagramAccountId });
-    return this.statements.getNotifications.all(instagramAccountId);
+    logger.debug('Setting pinned post announcements', { instagramAccountId, guildId, channelId, enabled });
+    return this.statements.setAnnouncePinned.run(enabled ? 1 : 0, instagramAccountId, guildId, channelId);
   }
 
   /**
-   * Get all notification settings for a guild
+   * Set which content types a notification setting receives
+   * @param {number} instagramAccountId - Instagram account ID
    * @param {string} guildId - Discord guild ID
-   * @returns {Array} Array of notification settings with account info
+   * @param {string} channelId - Discord channel ID
+   * @param {string[]} contentTypes - Content types (feed, reels, stories)
+   * @returns {Object} Run result
    */
-  getAllNotificationSettingsForGuild(guildId) {
+  setContentTypes(instagramAccountId, guildId, channelId, contentTypes) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
     validateNonEmptyString(guildId, 'Guild ID');
+    validateNonEmptyString(channelId, 'Channel ID');
 
-    logger.debug('Getting notification settings for guild', { guildId });
+    logger.debug('Setting content types', { instagramAccountId, guildId, channelId, contentTypes });
+    return this.statements.setContentTypes.run(contentTypes.join(','), instagramAccountId, guildId, channelId);
+  }
+
+  /**
+   * Set which feed post formats a notification setting receives
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Discord channel ID
+   * @param {string[]|null} mediaTypes - Formats (image, carousel, video), or null for all
+   * @returns {Object} Run result
+   */
+  setMediaTypes(instagramAccountId, guildId, channelId, mediaTypes) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validateNonEmptyString(guildId, 'Guild ID');
+    validateNonEmptyString(channelId, 'Channel ID');
+
+    logger.debug('Setting media types', { instagramAccountId, guildId, channelId, mediaTypes });
+    return this.statements.setMediaTypes.run(
+      mediaTypes ? mediaTypes.join(',') : null,
+      instagramAccountId,
+      guildId,
+      channelId
+    );
+  }
+
+  /**
+   * Set how a notification setting delivers posts
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Discord channel ID
+   * @param {string} mode - Delivery mode (see DELIVERY_MODES)
+   * @returns {Object} Run result
+   */
+  setDeliveryMode(instagramAccountId, guildId, channelId, mode) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validateNonEmptyString(guildId, 'Guild ID');
+    validateNonEmptyString(channelId, 'Channel ID');
+    validateNonEmptyString(mode, 'Delivery mode');
+
+    logger.debug('Setting delivery mode', { instagramAccountId, guildId, channelId, mode });
+    return this.statements.setDeliveryMode.run(mode, instagramAccountId, guildId, channelId);
+  }
+
+  /**
+   * Set the embed layout for a notification setting
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Discord channel ID
+   * @param {Object} config - Embed layout ({ mode, color, showCaption, showImage, footer, authorStyle })
+   * @returns {Object} Run result
+   */
+  setEmbedConfig(instagramAccountId, guildId, channelId, config) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validateNonEmptyString(guildId, 'Guild ID');
+    validateNonEmptyString(channelId, 'Channel ID');
+
+    logger.debug('Setting embed config', { instagramAccountId, guildId, channelId, config });
+    return this.statements.setEmbedConfig.run(
+      config.mode,
+      config.color,
+      config.showCaption ? 1 : 0,
+      config.showImage ? 1 : 0,
+      config.footer,
+      config.authorStyle,
+      instagramAccountId,
+      guildId,
+      channelId
+    );
+  }
+
+  /**
+   * Get a single notification setting
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Discord channel ID
+   * @returns {Object|null} Notification setting or null
+   */
+  getNotificationSetting(instagramAccountId, guildId, channelId) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validateNonEmptyString(guildId, 'Guild ID');
+    validateNonEmptyString(channelId, 'Channel ID');
+
+    return this.statements.getNotification.get(instagramAccountId, guildId, channelId);
+  }
+
+  /**
+   * Get an active notification setting by its ID
+   * @param {number} notificationSettingId - Notification setting ID
+   * @returns {Object|null} Notification setting or null
+   */
+  getNotificationSettingById(notificationSettingId) {
+    validatePositiveInteger(notificationSettingId, 'Notification setting ID');
+
+    return this.statements.getNotificationById.get(notificationSettingId) || null;
+  }
+
+  /**
+   * Get notification settings for an Instagram account
+   * @param {number} instagramAccountId - Instagram account ID
+   * @returns {Array} Array of notification settings
+   */
+  getNotificationSettings(instagramAccountId) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+
+    logger.debug('Getting notification settings', { instagramAccountId });
+    return this.statements.getNotifications.all(instagramAccountId);
+  }
+
+  /**
+   * Get all notification settings for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Array} Array of notification settings with account info
+   */
+  getAllNotificationSettingsForGuild(guildId) {
+    validateNonEmptyString(guildId, 'Guild ID');
+
+    logger.debug('Getting notification settings for guild', { guildId });
     return this.statements.getNotificationsForGuild.all(guildId);
   }
 
@@ -363,6 +1172,7 @@ class DatabaseService {
     logger.info('Removing notification setting', { instagramAccountId, guildId, channelId });
 
     try {
+      this.statements.removeFiltersForSetting.run(instagramAccountId, guildId, channelId);
       const result = this.statements.removeNotification.run(instagramAccountId, guildId, channelId);
       logger.info('Notification setting removed', { instagramAccountId, guildId, channelId, changes: result.changes });
       return result;
@@ -377,19 +1187,225 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Add caption filter rule to a notification setting
+   * @param {number} notificationSettingId - Notification setting ID
+   * @param {string} mode - 'include' or 'exclude'
+   * @param {string} type - 'keyword', 'hashtag' or 'regex'
+   * @param {string} value - Rule value
+   * @returns {Object} Run result
+   */
+  addNotificationFilter(notificationSettingId, mode, type, value) {
+    validatePositiveInteger(notificationSettingId, 'Notification setting ID');
+    validateNonEmptyString(value, 'Filter value');
+
+    logger.info('Adding notification filter', { notificationSettingId, mode, type, value });
+    return this.statements.addFilter.run(notificationSettingId, mode, type, value);
+  }
+
+  /**
+   * Get caption filter rules for a notification setting
+   * @param {number} notificationSettingId - Notification setting ID
+   * @returns {Array} Array of filter rules
+   */
+  getNotificationFilters(notificationSettingId) {
+    validatePositiveInteger(notificationSettingId, 'Notification setting ID');
+
+    return this.statements.getFilters.all(notificationSettingId);
+  }
+
+  /**
+   * Get all caption filter rules for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Array} Array of filter rules with channel and username
+   */
+  getNotificationFiltersForGuild(guildId) {
+    validateNonEmptyString(guildId, 'Guild ID');
+
+    return this.statements.getFiltersForGuild.all(guildId);
+  }
+
+  /**
+   * Remove caption filter rule, scoped to a guild
+   * @param {number} filterId - Filter rule ID
+   * @param {string} guildId - Discord guild ID
+   * @returns {Object} Run result
+   */
+  removeNotificationFilter(filterId, guildId) {
+    validatePositiveInteger(filterId, 'Filter ID');
+    validateNonEmptyString(guildId, 'Guild ID');
+
+    logger.info('Removing notification filter', { filterId, guildId });
+    return this.statements.removeFilter.run(filterId, guildId);
+  }
+
+  /**
+   * Allow a role or user to run a command in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} commandName - Command name, or '*' for all commands
+   * @param {string} targetType - 'role' or 'user'
+   * @param {string} targetId - Role or user ID
+   * @returns {Object} Run result
+   */
+  addGuildPermission(guildId, commandName, targetType, targetId) {
+    validateNonEmptyString(guildId, 'Guild ID');
+    validateNonEmptyString(commandName, 'Command name');
+    validateNonEmptyString(targetId, 'Target ID');
+
+    logger.info('Adding guild permission', { guildId, commandName, targetType, targetId });
+    return this.statements.addGuildPermission.run(guildId, commandName, targetType, targetId);
+  }
+
+  /**
+   * Get all permission rules for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Array} Permission rules
+   */
+  getGuildPermissions(guildId) {
+    validateNonEmptyString(guildId, 'Guild ID');
+
+    return this.statements.getGuildPermissions.all(guildId);
+  }
+
+  /**
+   * Remove a permission rule
+   * @param {string} guildId - Discord guild ID
+   * @param {string} commandName - Command name, or '*' for all commands
+   * @param {string} targetType - 'role' or 'user'
+   * @param {string} targetId - Role or user ID
+   * @returns {Object} Run result
+   */
+  removeGuildPermission(guildId, commandName, targetType, targetId) {
+    validateNonEmptyString(guildId, 'Guild ID');
+    validateNonEmptyString(commandName, 'Command name');
+    validateNonEmptyString(targetId, 'Target ID');
+
+    logger.info('Removing guild permission', { guildId, commandName, targetType, targetId });
+    return this.statements.removeGuildPermission.run(guildId, commandName, targetType, targetId);
+  }
+
+  /**
+   * Remove permission rules for a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string|null} commandName - Only clear rules for this command
+   * @returns {Object} Run result
+   */
+  clearGuildPermissions(guildId, commandName = null) {
+    validateNonEmptyString(guildId, 'Guild ID');
+
+    logger.info('Clearing guild permissions', { guildId, commandName });
+    return commandName
+      ? this.statements.clearCommandPermissions.run(guildId, commandName)
+      : this.statements.clearGuildPermissions.run(guildId);
+  }
+
+  /**
+   * Get a guild's configuration
+   * @param {string} guildId - Discord guild ID
+   * @returns {Object|null} Guild settings row, or null if the guild uses the defaults
+   */
+  getGuildSettings(guildId) {
+    validateNonEmptyString(guildId, 'Guild ID');
+
+    return this.statements.getGuildSettings.get(guildId) || null;
+  }
+
+  /**
+   * Save a guild's configuration, replacing all stored values
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} settings - Guild settings
+   * @param {string|null} settings.defaultTemplate - Default message template
+   * @param {string|null} settings.defaultMentionRoleId - Default role to mention
+   * @param {string|null} settings.timezone - IANA timezone
+   * @param {number|null} settings.quietHoursStart - Quiet hours start (0-23)
+   * @param {number|null} settings.quietHoursEnd - Quiet hours end (0-23)
+   * @param {string|null} settings.activeSchedule - Active schedule spec (overrides quiet hours)
+   * @returns {Object} Run result
+   */
+  setGuildSettings(guildId, settings) {
+    validateNonEmptyString(guildId, 'Guild ID');
+
+    logger.info('Updating guild settings', { guildId, ...settings });
+    return this.statements.setGuildSettings.run(
+      guildId,
+      settings.defaultTemplate ?? null,
+      settings.defaultMentionRoleId ?? null,
+      settings.timezone ?? null,
+      settings.quietHoursStart ?? null,
+      settings.quietHoursEnd ?? null,
+      settings.activeSchedule ?? null
+    );
+  }
+
+  /**
+   * Set a guild's active schedule, keeping its other settings
+   * @param {string} guildId - Discord guild ID
+   * @param {string|null} spec - Active schedule spec, or null to clear it
+   * @returns {Object} Run result
+   */
+  setGuildSchedule(guildId, spec) {
+    validateNonEmptyString(guildId, 'Guild ID');
+    if (spec !== null) {
+      validateNonEmptyString(spec, 'Schedule');
+    }
+
+    logger.info('Setting guild schedule', { guildId, spec });
+    return this.statements.setGuildSchedule.run(guildId, spec);
+  }
+
+  /**
+   * Remove a guild's configuration so the env defaults apply again
+   * @param {string} guildId - Discord guild ID
+   * @returns {Object} Run result
+   */
+  removeGuildSettings(guildId) {
+    validateNonEmptyString(guildId, 'Guild ID');
+
+    logger.info('Removing guild settings', { guildId });
+    return this.statements.removeGuildSettings.run(guildId);
+  }
+
   /**
    * Add post to history
    * @param {number} instagramAccountId - Instagram account ID
    * @param {string} postId - Post ID
    * @param {string} postUrl - Post URL
+   * @param {Date|null} publishedAt - When the post was published
    * @returns {Object} Run result
    */
-  addPostToHistory(instagramAccountId, postId, postUrl) {
+  addPostToHistory(instagramAccountId, postId, postUrl, publishedAt = null) {
     validatePositiveInteger(instagramAccountId, 'Instagram account ID');
     validateNonEmptyString(postId, 'Post ID');
 
     logger.debug('Adding post to history', { instagramAccountId, postId, postUrl });
-    return this.statements.addPostHistory.run(instagramAccountId, postId, postUrl);
+    return this.statements.addPostHistory.run(instagramAccountId, postId, postUrl, toSqliteDate(publishedAt));
+  }
+
+  /**
+   * Get when a post in the history was published
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {string} postId - Post ID
+   * @returns {Date|null} Publish time, or null if the post or its publish time is not recorded
+   */
+  getPostPublishedAt(instagramAccountId, postId) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validateNonEmptyString(postId, 'Post ID');
+
+    const row = this.statements.getPostPublishedAt.get(instagramAccountId, postId);
+    return row?.published_at ? new Date(`${row.published_at.replace(' ', 'T')}Z`) : null;
+  }
+
+  /**
+   * Get publish times of an account's recent posts, for learning its posting schedule
+   * Rows recorded before publish times were stored fall back to the notification time
+   * @param {number} instagramAccountId - Instagram account ID
+   * @returns {Date[]} Publish times
+   */
+  getPostTimestamps(instagramAccountId) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+
+    return this.statements.getPostTimestamps.all(instagramAccountId)
+      .map(row => new Date(`${row.posted_at.replace(' ', 'T')}Z`));
   }
 
   /**
@@ -407,6 +1423,73 @@ class DatabaseService {
     return result.count > 0;
   }
 
+  /**
+   * Record the outcome of delivering a post to a channel
+   * Statuses: sent, skipped (already in the channel), queued (waiting for a digest),
+   * retrying (failed, will be retried) and failed (given up)
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {string} postId - Post ID
+   * @param {Object} setting - Notification setting row
+   * @param {string} status - Delivery status
+   * @param {Object} details - Delivery details
+   * @param {string|null} details.error - Error of a failed attempt
+   * @param {string|null} details.messageId - Discord message ID once sent
+   * @returns {Object} Run result
+   */
+  recordPostDelivery(instagramAccountId, postId, setting, status, { error = null, messageId = null } = {}) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validateNonEmptyString(postId, 'Post ID');
+    validateNonEmptyString(setting.channel_id, 'Channel ID');
+
+    const attempted = ['sent', 'retrying', 'failed'].includes(status) ? 1 : 0;
+
+    logger.debug('Recording post delivery', { instagramAccountId, postId, channelId: setting.channel_id, status });
+    return this.statements.recordPostDelivery.run(
+      instagramAccountId,
+      postId,
+      setting.id ?? null,
+      setting.guild_id,
+      setting.channel_id,
+      status,
+      attempted,
+      error,
+      messageId
+    );
+  }
+
+  /**
+   * Get the per-channel delivery records of a post
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {string} postId - Post ID
+   * @returns {Array} Delivery rows
+   */
+  getPostDeliveries(instagramAccountId, postId) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validateNonEmptyString(postId, 'Post ID');
+
+    return this.statements.getPostDeliveries.all(instagramAccountId, postId);
+  }
+
+  /**
+   * Check if a post has been delivered to a channel
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {string} postId - Post ID
+   * @param {string} channelId - Discord channel ID
+   * @returns {boolean} True if the channel received the post
+   */
+  hasPostBeenDelivered(instagramAccountId, postId, channelId) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validateNonEmptyString(postId, 'Post ID');
+    validateNonEmptyString(channelId, 'Channel ID');
+
+    const result = this.statements.hasPostDelivery.get(
+      instagramAccountId, postId, channelId,
+      instagramAccountId, postId,
+      instagramAccountId, postId
+    );
+    return result.delivered === 1 || result.legacy === 1;
+  }
+
   /**
    * Cleanup old post history
    * @returns {Object} Run result with number of deleted rows
@@ -419,6 +1502,31 @@ class DatabaseService {
       if (result.changes > 0) {
         logger.info(`Cleaned up ${result.changes} old post history entries`, { deleted: result.changes });
       }
+
+      const deliveryResult = this.statements.cleanupPostDeliveries.run();
+      if (deliveryResult.changes > 0) {
+        logger.info(`Cleaned up ${deliveryResult.changes} old post delivery records`, { deleted: deliveryResult.changes });
+      }
+
+      const sentResult = this.statements.cleanupSentMessages.run();
+      if (sentResult.changes > 0) {
+        logger.info(`Cleaned up ${sentResult.changes} old sent message records`, { deleted: sentResult.changes });
+      }
+
+      const heldResult = this.statements.cleanupHeldPosts.run();
+      if (heldResult.changes > 0) {
+        logger.warn(`Dropped ${heldResult.changes} held posts that were never released`, { deleted: heldResult.changes });
+      }
+
+      const digestResult = this.statements.cleanupDigestQueue.run();
+      if (digestResult.changes > 0) {
+        logger.warn(`Dropped ${digestResult.changes} queued digest posts that were never sent`, { deleted: digestResult.changes });
+      }
+
+      const outboxResult = this.statements.cleanupOutbox.run();
+      if (outboxResult.changes > 0) {
+        logger.info(`Cleaned up ${outboxResult.changes} finished outbox entries`, { deleted: outboxResult.changes });
+      }
       return result;
     } catch (error) {
       logger.error('Failed to cleanup old history', { error: error.message });
@@ -426,6 +1534,395 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Record a Discord message sent for a post
+   * @param {Object} record - Sent message details
+   * @param {number} record.instagramAccountId - Instagram account ID
+   * @param {number} record.notificationSettingId - Notification setting ID
+   * @param {Object} record.post - Post object
+   * @param {string} record.event - Notification event
+   * @param {string} record.guildId - Discord guild ID
+   * @param {string} record.channelId - Discord channel ID
+   * @param {string} record.messageId - Discord message ID
+   * @returns {Object} Run result
+   */
+  addSentMessage({ instagramAccountId, notificationSettingId, post, event, guildId, channelId, messageId }) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validateNonEmptyString(post.id, 'Post ID');
+    validateNonEmptyString(channelId, 'Channel ID');
+    validateNonEmptyString(messageId, 'Message ID');
+
+    logger.debug('Recording sent message', { instagramAccountId, postId: post.id, channelId, messageId });
+    return this.statements.addSentMessage.run(
+      instagramAccountId,
+      notificationSettingId,
+      post.id,
+      post.url,
+      event,
+      guildId,
+      channelId,
+      messageId,
+      post.description || '',
+      toSqliteDate(post.publishedAt)
+    );
+  }
+
+  /**
+   * Get active sent messages recent enough to re-verify
+   * @param {number} instagramAccountId - Instagram account ID
+   * @returns {Array} Sent message rows
+   */
+  getSentMessagesToVerify(instagramAccountId) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+
+    return this.statements.getSentMessagesToVerify.all(instagramAccountId);
+  }
+
+  /**
+   * Store the caption an announcement was last edited to
+   * @param {number} sentMessageId - Sent message ID
+   * @param {string} caption - Current caption
+   * @returns {Object} Run result
+   */
+  updateSentMessageCaption(sentMessageId, caption) {
+    validatePositiveInteger(sentMessageId, 'Sent message ID');
+
+    return this.statements.updateSentMessageCaption.run(caption, sentMessageId);
+  }
+
+  /**
+   * Reset the missing counter of a sent message whose post was found again
+   * @param {number} sentMessageId - Sent message ID
+   * @returns {Object} Run result
+   */
+  markSentMessageSeen(sentMessageId) {
+    validatePositiveInteger(sentMessageId, 'Sent message ID');
+
+    return this.statements.markSentMessageSeen.run(sentMessageId);
+  }
+
+  /**
+   * Count one more check in which the post of a sent message was missing
+   * @param {number} sentMessageId - Sent message ID
+   * @returns {number} Consecutive checks the post has been missing
+   */
+  recordSentMessageMissing(sentMessageId) {
+    validatePositiveInteger(sentMessageId, 'Sent message ID');
+
+    const row = this.statements.incrementSentMessageMissing.get(sentMessageId);
+    return row ? row.missing_count : 0;
+  }
+
+  /**
+   * Set the status of a sent message
+   * @param {number} sentMessageId - Sent message ID
+   * @param {string} status - 'active', 'removed' or 'deleted'
+   * @returns {Object} Run result
+   */
+  setSentMessageStatus(sentMessageId, status) {
+    validatePositiveInteger(sentMessageId, 'Sent message ID');
+    validateNonEmptyString(status, 'Status');
+
+    logger.debug('Updating sent message status', { sentMessageId, status });
+    return this.statements.setSentMessageStatus.run(status, sentMessageId);
+  }
+
+  /**
+   * Hold a post back for a notification setting until its guild leaves quiet hours
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {Object} setting - Notification setting row
+   * @param {Object} post - Post object
+   * @returns {Object} Run result
+   */
+  holdPost(instagramAccountId, setting, post) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validatePositiveInteger(setting.id, 'Notification setting ID');
+    validateNonEmptyString(post.id, 'Post ID');
+
+    logger.debug('Holding post', { instagramAccountId, guildId: setting.guild_id, channelId: setting.channel_id, postId: post.id });
+    return this.statements.holdPost.run(
+      instagramAccountId,
+      setting.id,
+      setting.guild_id,
+      post.id,
+      JSON.stringify(post),
+      toSqliteDate(post.publishedAt)
+    );
+  }
+
+  /**
+   * Get the guilds that have held posts
+   * @returns {string[]} Guild IDs
+   */
+  getHeldGuildIds() {
+    return this.statements.getHeldGuildIds.all().map(row => row.guild_id);
+  }
+
+  /**
+   * Get a guild's held posts, oldest first
+   * @param {string} guildId - Discord guild ID
+   * @returns {Array} Held post rows with the restored post object as `post`
+   */
+  getHeldPosts(guildId) {
+    validateNonEmptyString(guildId, 'Guild ID');
+
+    return this.statements.getHeldPosts.all(guildId).map(row => ({ ...row, post: parsePostData(row.post_data) }));
+  }
+
+  /**
+   * Remove held posts once they have been released
+   * @param {number[]} heldPostIds - Held post IDs
+   */
+  removeHeldPosts(heldPostIds) {
+    const removeAll = this.db.transaction(ids => {
+      for (const id of ids) {
+        this.statements.removeHeldPost.run(id);
+      }
+    });
+
+    logger.debug('Removing held posts', { count: heldPostIds.length });
+    removeAll(heldPostIds);
+  }
+
+  /**
+   * Queue a post for its channel's next digest
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {Object} setting - Notification setting row
+   * @param {Object} post - Post object
+   * @param {string} event - Notification event
+   * @returns {Object} Run result
+   */
+  queueDigestPost(instagramAccountId, setting, post, event = 'post') {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validatePositiveInteger(setting.id, 'Notification setting ID');
+    validateNonEmptyString(post.id, 'Post ID');
+
+    logger.debug('Queueing post for digest', { instagramAccountId, channelId: setting.channel_id, postId: post.id, event });
+    return this.statements.queueDigestPost.run(
+      instagramAccountId,
+      setting.id,
+      setting.guild_id,
+      setting.channel_id,
+      post.id,
+      event,
+      JSON.stringify(post)
+    );
+  }
+
+  /**
+   * Get every queued digest post with its current setting, grouped by channel
+   * @returns {Array} Queue rows with the restored post object as `post`
+   */
+  getDigestQueue() {
+    return this.statements.getDigestQueue.all().map(row => ({ ...row, post: parsePostData(row.post_data) }));
+  }
+
+  /**
+   * Remove queued digest posts once their digest was sent
+   * @param {number[]} entryIds - Digest queue IDs
+   */
+  removeDigestEntries(entryIds) {
+    const removeAll = this.db.transaction(ids => {
+      for (const id of ids) {
+        this.statements.removeDigestEntry.run(id);
+      }
+    });
+
+    logger.debug('Removing digest queue entries', { count: entryIds.length });
+    removeAll(entryIds);
+  }
+
+  /**
+   * Add a notification for one channel to the outbox
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {Object} setting - Notification setting row
+   * @param {Object} post - Post object
+   * @param {string} event - Notification event
+   * @param {Object} options - Enqueue options
+   * @param {boolean} options.checkDuplicates - Check history and recent messages before the first attempt
+   * @param {number} options.delayMs - Delay before the first attempt
+   * @param {boolean} options.resend - Send again even if the channel already got this notification
+   * @returns {number|null} Outbox entry ID, or null if the channel already has this notification
+   */
+  enqueueNotification(instagramAccountId, setting, post, event = 'post', { checkDuplicates = true, delayMs = 0, resend = false } = {}) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validatePositiveInteger(setting.id, 'Notification setting ID');
+    validateNonEmptyString(post.id, 'Post ID');
+
+    logger.debug('Enqueueing notification', { instagramAccountId, channelId: setting.channel_id, postId: post.id, event });
+    const row = this.statements.enqueueNotification.get(
+      instagramAccountId,
+      setting.id,
+      setting.guild_id,
+      setting.channel_id,
+      post.id,
+      event,
+      JSON.stringify(post),
+      checkDuplicates ? 1 : 0,
+      toSqliteDate(new Date(Date.now() + delayMs)),
+      resend ? 1 : 0
+    );
+    return row ? row.id : null;
+  }
+
+  /**
+   * Get pending outbox entries whose next attempt is due, oldest first
+   * @param {number} limit - Maximum number of entries
+   * @returns {Array} Outbox rows with the restored post object as `post`
+   */
+  getDueOutboxEntries(limit) {
+    validatePositiveInteger(limit, 'Limit');
+
+    return this.statements.getDueOutboxEntries.all(limit).map(row => ({ ...row, post: parsePostData(row.post_data) }));
+  }
+
+  /**
+   * Mark an outbox entry as delivered
+   * @param {number} entryId - Outbox entry ID
+   * @param {string|null} messageId - Discord message ID, or null if the post was already in the channel
+   * @returns {Object} Run result
+   */
+  markOutboxSent(entryId, messageId) {
+    validatePositiveInteger(entryId, 'Outbox entry ID');
+
+    return this.statements.markOutboxSent.run(messageId, entryId);
+  }
+
+  /**
+   * Record a failed delivery attempt and schedule the next one
+   * @param {number} entryId - Outbox entry ID
+   * @param {string} error - Error message
+   * @param {number} delayMs - Delay before the next attempt
+   * @returns {Object} Run result
+   */
+  markOutboxRetry(entryId, error, delayMs) {
+    validatePositiveInteger(entryId, 'Outbox entry ID');
+
+    return this.statements.markOutboxRetry.run(error, toSqliteDate(new Date(Date.now() + delayMs)), entryId);
+  }
+
+  /**
+   * Give up on an outbox entry
+   * @param {number} entryId - Outbox entry ID
+   * @param {string} error - Error message
+   * @returns {Object} Run result
+   */
+  markOutboxFailed(entryId, error) {
+    validatePositiveInteger(entryId, 'Outbox entry ID');
+
+    return this.statements.markOutboxFailed.run(error, entryId);
+  }
+
+  /**
+   * Count outbox entries by status
+   * @returns {Object} { pending, sent, failed }
+   */
+  getOutboxStats() {
+    const stats = { pending: 0, sent: 0, failed: 0 };
+    for (const row of this.statements.getOutboxStats.all()) {
+      stats[row.status] = row.count;
+    }
+    return stats;
+  }
+
+  /**
+   * Store the state of a circuit breaker
+   * @param {string} key - Circuit breaker key (account username)
+   * @param {Object} snapshot - { state, failures, lastFailureTime, trips } from CircuitBreaker.getSnapshot()
+   * @returns {Object} Run result
+   */
+  saveCircuitBreaker(key, { state, failures, lastFailureTime, trips = 0 }) {
+    validateNonEmptyString(key, 'Circuit breaker key');
+
+    return this.statements.saveCircuitBreaker.run(
+      key,
+      state,
+      failures,
+      lastFailureTime ? toSqliteDate(new Date(lastFailureTime)) : null,
+      trips
+    );
+  }
+
+  /**
+   * Get every stored circuit breaker, in the format CircuitBreaker.restore() expects
+   * @returns {Array} Array of { key, state, failures, lastFailureTime, trips }
+   */
+  getCircuitBreakers() {
+    return this.statements.getCircuitBreakers.all().map(row => ({
+      key: row.breaker_key,
+      state: row.state,
+      failures: row.failures,
+      lastFailureTime: row.last_failure_at
+        ? new Date(`${row.last_failure_at.replace(' ', 'T')}Z`).getTime()
+        : null,
+      trips: row.trips || 0
+    }));
+  }
+
+  /**
+   * Remove the stored state of a circuit breaker
+   * @param {string} key - Circuit breaker key (account username)
+   * @returns {Object} Run result
+   */
+  removeCircuitBreaker(key) {
+    validateNonEmptyString(key, 'Circuit breaker key');
+
+    return this.statements.removeCircuitBreaker.run(key);
+  }
+
+  /**
+   * Add story to history
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {Object} story - Story object
+   * @returns {Object} Run result
+   */
+  addStoryToHistory(instagramAccountId, story) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validateNonEmptyString(story.id, 'Story ID');
+
+    logger.debug('Adding story to history', { instagramAccountId, storyId: story.id });
+    return this.statements.addStoryHistory.run(
+      instagramAccountId,
+      story.id,
+      story.url,
+      story.isHighlight ? 1 : 0,
+      toSqliteDate(story.publishedAt),
+      toSqliteDate(story.expiresAt)
+    );
+  }
+
+  /**
+   * Check if story has been notified
+   * @param {number} instagramAccountId - Instagram account ID
+   * @param {string} storyId - Story ID
+   * @returns {boolean} True if story has been notified
+   */
+  hasStoryBeenNotified(instagramAccountId, storyId) {
+    validatePositiveInteger(instagramAccountId, 'Instagram account ID');
+    validateNonEmptyString(storyId, 'Story ID');
+
+    const result = this.statements.hasStory.get(instagramAccountId, storyId);
+    return result.count > 0;
+  }
+
+  /**
+   * Cleanup expired stories and old highlights from story history
+   * Expired stories can no longer be returned by a fetch, so their rows are safe to drop
+   * @returns {Object} Run result with number of deleted rows
+   */
+  cleanupExpiredStories() {
+    try {
+      const result = this.statements.cleanupStoryHistory.run();
+      if (result.changes > 0) {
+        logger.info(`Cleaned up ${result.changes} expired story history entries`, { deleted: result.changes });
+      }
+      return result;
+    } catch (error) {
+      logger.error('Failed to cleanup story history', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Create a backup of the database
    * @returns {string|null} Backup file path or null on error
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import cron from 'node-cron';
 import http from 'http';
 import https from 'https';
 import Parser from 'rss-parser';
@@ -7,7 +8,12 @@ import {
   retryWithBackoff,
   sanitizeError,
   delay,
-  extractInstagramPostId
+  extractInstagramPostId,
+  extractInstagramStoryId,
+  getMediaTypeFromGraphNode,
+  getMediaTypeFromUrl,
+  getGraphNodeMedia,
+  getFeedItemMedia
 } from '../utils/helpers.js';
 import {
   HTTP_TIMEOUT_MS,
@@ -16,10 +22,25 @@ import {
   FETCH_RETRY_ATTEMPTS,
   FETCH_RETRY_BASE_DELAY_MS,
   FETCH_RETRY_MAX_DELAY_MS,
+  DEFAULT_FETCH_STRATEGIES,
+  STORY_LIFETIME_MS,
+  INSTAGRAM_BASE_URL,
   INSTAGRAM_API_URL,
   INSTAGRAM_WEB_APP_ID,
-  BIBLIOGRAM_INSTANCES
+  BIBLIOGRAM_INSTANCES,
+  DEFAULT_RSS_BRIDGE_URL,
+  RSS_BRIDGE_PROBE_CRON
 } from '../utils/constants.js';
+import {
+  FetchError,
+  FETCH_FAILURE_REASONS,
+  classifyFetchError,
+  isRetryableFetchError,
+  pickFetchFailureReason,
+  describeFetchFailure
+} from '../utils/fetchErrors.js';
+import RequestGovernor from '../utils/requestGovernor.js';
+import BridgePool from '../utils/bridgePool.js';
 import metrics from '../utils/metrics.js';
 
 const logger = createLogger('Instagram');
@@ -32,10 +53,22 @@ class InstagramService {
   constructor() {
     this.parser = new Parser({
       customFields: {
-        item: ['media:content', 'description', 'guid']
+        item: [
+          'media:content',
+          'description',
+          'guid',
+          ['media:content', 'mediaContents', { keepArray: true }]
+        ]
       }
     });
-    this.rssBridgeUrl = process.env.RSS_BRIDGE_URL || 'https://rss-bridge.org/bridge01';
+
+    // RSS Bridge instances, scored by success rate and latency (see BridgePool)
+    this.bridgePool = new BridgePool(this.parseBridgeUrls(process.env.RSS_BRIDGE_URL || DEFAULT_RSS_BRIDGE_URL));
+    this.bridgeProbeJob = null;
+
+    // Stories come from a pluggable Atom/RSS source, e.g. a self-hosted bridge
+    // Example: https://bridge.example.com/?bridge=InstagramStories&u={username}&format=Atom
+    this.storyFeedUrl = process.env.STORY_FEED_URL || null;
 
     // Create HTTP client with realistic browser headers and connection pooling
     this.httpClient = axios.create({
@@ -63,58 +96,236 @@ class InstagramService {
       }
     });
 
+    // Every request waits for its host's budget, and 429s hold back the whole host
+    this.governor = new RequestGovernor();
+    this.httpClient.interceptors.request.use(async config => {
+      await this.governor.acquire(new URL(config.url, config.baseURL).host);
+      // Measured after the governor's wait, so latency reflects the host alone
+      config.startedAt = Date.now();
+      return config;
+    });
+    this.httpClient.interceptors.response.use(
+      response => {
+        this.governor.recordResponse(new URL(response.config.url, response.config.baseURL).host, response.status, response.headers);
+        return response;
+      },
+      error => {
+        if (error.response) {
+          this.governor.recordResponse(new URL(error.config.url, error.config.baseURL).host, error.response.status, error.response.headers);
+        }
+        throw error;
+      }
+    );
+
+    // Available fetch strategies, keyed by the names accepted in FETCH_STRATEGIES,
+    // with the hosts they depend on (none listed for the deprecated Bibliogram)
+    this.strategies = {
+      rssbridge: {
+        name: 'RSS Bridge',
+        hosts: this.bridgePool.instances.map(instance => new URL(instance.url).host),
+        fetch: username => this.fetchPostsViaRSSBridge(username)
+      },
+      direct: { name: 'Direct API', hosts: [new URL(INSTAGRAM_API_URL).host], fetch: username => this.fetchPostsViaDirect(username) },
+      webscrape: { name: 'Web Scrape', hosts: [new URL(INSTAGRAM_BASE_URL).host], fetch: username => this.fetchPostsViaWebScrape(username) },
+      bibliogram: { name: 'Bibliogram', hosts: [], fetch: username => this.fetchPostsViaBibliogram(username) }
+    };
+    this.strategyOrder = this.parseStrategyOrder(process.env.FETCH_STRATEGIES || DEFAULT_FETCH_STRATEGIES);
+
+    logger.info('Fetch strategy chain configured', { strategies: this.strategyOrder });
+
     // Track last successful method per account for faster checks
     this.lastSuccessfulMethod = new Map();
   }
 
+  /**
+   * Parse a comma-separated list of RSS Bridge instance URLs
+   * @param {string} value - Instance URLs (e.g. "https://a.example.com,https://b.example.com/bridge")
+   * @returns {string[]} Valid instance URLs without trailing slashes
+   */
+  parseBridgeUrls(value) {
+    const urls = [];
+
+    for (const raw of value.split(',')) {
+      const url = raw.trim().replace(/\/+$/, '');
+      if (!url) continue;
+
+      try {
+        new URL(url);
+      } catch (error) {
+        logger.warn(`Invalid RSS Bridge URL "${url}" ignored`, { url });
+        continue;
+      }
+
+      if (!urls.includes(url)) {
+        urls.push(url);
+      }
+    }
+
+    if (urls.length === 0) {
+      logger.warn('No valid RSS Bridge URLs configured, falling back to the default', { value });
+      return [DEFAULT_RSS_BRIDGE_URL];
+    }
+
+    return urls;
+  }
+
+  /**
+   * Parse a comma-separated list of strategy keys, dropping unknown entries
+   * @param {string} value - Strategy list (e.g. "direct,webscrape,rssbridge")
+   * @returns {string[]} Ordered list of valid strategy keys
+   */
+  parseStrategyOrder(value) {
+    const order = [];
+
+    for (const raw of value.split(',')) {
+      const key = raw.trim().toLowerCase();
+      if (!key) continue;
+
+      if (!this.strategies[key]) {
+        logger.warn(`Unknown fetch strategy "${key}" ignored`, {
+          strategy: key,
+          available: Object.keys(this.strategies)
+        });
+        continue;
+      }
+
+      if (!order.includes(key)) {
+        order.push(key);
+      }
+    }
+
+    if (order.length === 0) {
+      logger.warn('No valid fetch strategies configured, falling back to defaults', { value });
+      return DEFAULT_FETCH_STRATEGIES.split(',');
+    }
+
+    return order;
+  }
+
+  /**
+   * Get the strategy order to use for an account
+   * The last strategy that worked for the account is tried first
+   * @param {string} username - Instagram username
+   * @returns {string[]} Ordered list of strategy keys
+   */
+  getStrategyOrder(username) {
+    const preferred = this.lastSuccessfulMethod.get(username);
+
+    if (!preferred || !this.strategyOrder.includes(preferred)) {
+      return this.strategyOrder;
+    }
+
+    return [preferred, ...this.strategyOrder.filter(key => key !== preferred)];
+  }
+
+  /**
+   * Parse an Atom/RSS feed body
+   * @param {string} data - Response body
+   * @returns {Promise<Object>} Parsed feed
+   * @throws {FetchError} With reason "parse" if the body is not a valid feed
+   */
+  async parseFeed(data) {
+    try {
+      return await this.parser.parseString(data);
+    } catch (error) {
+      throw new FetchError(FETCH_FAILURE_REASONS.PARSE, `Invalid feed: ${error.message}`);
+    }
+  }
+
   /**
    * Fetch recent posts from an Instagram account using RSS Bridge
+   * Instances are tried healthiest first; a failing instance hands over to the next
+   * one, and only the last instance left retries with backoff.
    * @param {string} username - Instagram username
    * @returns {Promise<Array>} Array of post objects
    */
   async fetchPostsViaRSSBridge(username) {
-    return retryWithBackoff(
-      async () => {
-        const url = `${this.rssBridgeUrl}/?action=display&bridge=Instagram&context=Username&u=${username}&media_type=all&format=Atom`;
+    const urls = this.bridgePool.getOrderedUrls();
+    const errors = [];
 
-        logger.debug(`Fetching posts for @${username} via RSS Bridge`, { username, url });
+    for (let i = 0; i < urls.length; i++) {
+      const instanceUrl = urls[i];
+      const isLast = i === urls.length - 1;
 
-        const response = await this.httpClient.get(url);
-        const feed = await this.parser.parseString(response.data);
+      try {
+        const { posts, latencyMs } = await retryWithBackoff(
+          () => this.fetchPostsFromBridge(instanceUrl, username),
+          isLast ? FETCH_RETRY_ATTEMPTS : 1,
+          FETCH_RETRY_BASE_DELAY_MS,
+          FETCH_RETRY_MAX_DELAY_MS,
+          isRetryableFetchError
+        );
+
+        this.bridgePool.recordSuccess(instanceUrl, latencyMs);
+        return posts;
+      } catch (error) {
+        logger.warn(`RSS Bridge ${instanceUrl} unavailable for @${username}: ${error.message}`, {
+          username,
+          instance: instanceUrl,
+          remaining: urls.length - i - 1
+        });
 
-        if (!feed.items || feed.items.length === 0) {
-          logger.debug(`No posts found for @${username}`, { username });
-          return [];
+        // A 404 from the bridge usually means a wrong RSS_BRIDGE_URL, not a missing account
+        const instanceError = error.response?.status === 404
+          ? new FetchError(FETCH_FAILURE_REASONS.NETWORK, 'RSS Bridge returned 404', { status: 404 })
+          : error;
+
+        // A request the governor held back never reached the instance, so says nothing about its health
+        if (!instanceError.local) {
+          this.bridgePool.recordFailure(instanceUrl, instanceError.message);
         }
+        errors.push(instanceError);
+      }
+    }
 
-        const posts = feed.items
-          .map(item => {
-            const postId = extractInstagramPostId(item.link || item.guid);
+    if (errors.length === 1) {
+      throw errors[0];
+    }
 
-            return {
-              id: postId,
-              url: item.link,
-              title: item.title || '',
-              description: item.contentSnippet || item.description || '',
-              publishedAt: new Date(item.pubDate || item.isoDate),
-              thumbnail: item['media:content']?.$?.url || null
-            };
-          })
-          .sort((a, b) => b.publishedAt - a.publishedAt);
+    const reason = pickFetchFailureReason(errors.map(classifyFetchError));
+    throw new FetchError(reason, `All ${errors.length} RSS Bridge instances failed: ${describeFetchFailure(reason)}`);
+  }
 
-        return posts;
-      },
-      FETCH_RETRY_ATTEMPTS,
-      FETCH_RETRY_BASE_DELAY_MS,
-      FETCH_RETRY_MAX_DELAY_MS,
-      (error) => {
-        // Retry on network errors, not on 4xx errors
-        return !error.response || error.response.status >= 500;
-      }
-    ).catch(error => {
-      logger.warn(`RSS Bridge unavailable for @${username}: ${error.message}`, { username });
-      return [];
-    });
+  /**
+   * Fetch recent posts from one RSS Bridge instance
+   * @param {string} instanceUrl - Instance base URL
+   * @param {string} username - Instagram username
+   * @returns {Promise<Object>} { posts, latencyMs }
+   */
+  async fetchPostsFromBridge(instanceUrl, username) {
+    const url = `${instanceUrl}/?action=display&bridge=Instagram&context=Username&u=${username}&media_type=all&format=Atom`;
+
+    logger.debug(`Fetching posts for @${username} via RSS Bridge`, { username, url });
+
+    const response = await this.httpClient.get(url);
+    const latencyMs = Date.now() - response.config.startedAt;
+    const feed = await this.parseFeed(response.data);
+
+    if (!feed.items || feed.items.length === 0) {
+      logger.debug(`No posts found for @${username}`, { username, instance: instanceUrl });
+      return { posts: [], latencyMs };
+    }
+
+    const posts = feed.items
+      .map(item => {
+        const postId = extractInstagramPostId(item.link || item.guid);
+        const media = getFeedItemMedia(item.mediaContents);
+        const mediaType = getMediaTypeFromUrl(item.link, item['media:content']?.$?.medium);
+
+        return {
+          id: postId,
+          url: item.link,
+          title: item.title || '',
+          description: item.contentSnippet || item.description || '',
+          publishedAt: new Date(item.pubDate || item.isoDate),
+          thumbnail: item['media:content']?.$?.url || null,
+          mediaType: media.length > 1 && mediaType !== 'reel' ? 'carousel' : mediaType,
+          media
+        };
+      })
+      .sort((a, b) => b.publishedAt - a.publishedAt);
+
+    return { posts, latencyMs };
   }
 
   /**
@@ -123,6 +334,8 @@ class InstagramService {
    * @returns {Promise<Array>} Array of post objects
    */
   async fetchPostsViaBibliogram(username) {
+    const errors = [];
+
     for (const instance of BIBLIOGRAM_INSTANCES) {
       try {
         logger.debug(`Trying Bibliogram instance: ${instance} for @${username}`, {
@@ -132,7 +345,7 @@ class InstagramService {
 
         const url = `${instance}/u/${username}/rss.xml`;
         const response = await this.httpClient.get(url);
-        const feed = await this.parser.parseString(response.data);
+        const feed = await this.parseFeed(response.data);
 
         if (feed.items && feed.items.length > 0) {
           const posts = feed.items
@@ -144,7 +357,8 @@ class InstagramService {
                 title: item.title || '',
                 description: item.contentSnippet || '',
                 publishedAt: new Date(item.pubDate || item.isoDate),
-                thumbnail: null
+                thumbnail: null,
+                mediaType: getMediaTypeFromUrl(item.link)
               };
             })
             .sort((a, b) => b.publishedAt - a.publishedAt);
@@ -162,10 +376,17 @@ class InstagramService {
           instance,
           error: sanitizeError(error)
         });
+        errors.push(error);
         continue;
       }
     }
 
+    // Only report a failure if no instance answered at all
+    if (errors.length === BIBLIOGRAM_INSTANCES.length && errors.length > 0) {
+      const reason = pickFetchFailureReason(errors.map(classifyFetchError));
+      throw new FetchError(reason, `All Bibliogram instances failed: ${describeFetchFailure(reason)}`);
+    }
+
     return [];
   }
 
@@ -184,6 +405,12 @@ class InstagramService {
 
         const html = response.data;
 
+        // Throttled anonymous visitors are redirected to the login page
+        const finalUrl = response.request?.res?.responseUrl || '';
+        if (finalUrl.includes('/accounts/login')) {
+          throw new FetchError(FETCH_FAILURE_REASONS.RATE_LIMITED, 'Redirected to the login page');
+        }
+
         // Method 1: Try to extract from window._sharedData (legacy method)
         const sharedDataMatch = html.match(/window\._sharedData = ({.+?});<\/script>/);
         if (sharedDataMatch) {
@@ -203,7 +430,10 @@ class InstagramService {
                     description: node.edge_media_to_caption?.edges[0]?.node?.text || '',
                     publishedAt: new Date(node.taken_at_timestamp * 1000),
                     thumbnail: node.thumbnail_src || node.display_url,
-                    isPinned: node.pinned_for_users && node.pinned_for_users.length > 0
+                    isPinned: Array.isArray(node.pinned_for_users) && node.pinned_for_users.length > 0,
+                    mediaType: getMediaTypeFromGraphNode(node),
+                    media: getGraphNodeMedia(node),
+                    likes: node.edge_liked_by?.count ?? node.edge_media_preview_like?.count ?? null
                   };
                 })
                 .sort((a, b) => b.publishedAt - a.publishedAt);
@@ -249,7 +479,9 @@ class InstagramService {
               title: '',
               description: '',
               publishedAt: new Date(), // No timestamp available
-              thumbnail: null
+              isDateEstimated: true,
+              thumbnail: null,
+              mediaType: 'image'
             }));
 
             logger.info(`Scraped ${posts.length} post URLs (limited metadata)`, {
@@ -260,19 +492,23 @@ class InstagramService {
           }
         }
 
-        logger.warn(`Could not extract posts from web page for @${username}`, { username });
-        return [];
+        if (/"is_private":\s*true/.test(html)) {
+          throw new FetchError(FETCH_FAILURE_REASONS.PRIVATE, 'Account is private');
+        }
+
+        throw new FetchError(FETCH_FAILURE_REASONS.PARSE, 'Could not extract posts from web page');
       },
       FETCH_RETRY_ATTEMPTS,
       FETCH_RETRY_BASE_DELAY_MS,
       FETCH_RETRY_MAX_DELAY_MS,
-      (error) => !error.response || error.response.status >= 500
+      isRetryableFetchError
     ).catch(error => {
-      logger.error(`Web scrape error for @${username}`, {
+      logger.warn(`Web scrape failed for @${username}`, {
         username,
+        reason: classifyFetchError(error),
         error: sanitizeError(error)
       });
-      return [];
+      throw error;
     });
   }
 
@@ -295,12 +531,24 @@ class InstagramService {
           }
         });
 
-        const userData = response.data?.data?.user;
-        if (!userData?.edge_owner_to_timeline_media?.edges) {
-          return [];
+        if (typeof response.data !== 'object' || !response.data?.data) {
+          throw new FetchError(FETCH_FAILURE_REASONS.PARSE, 'Unexpected API response');
+        }
+
+        const userData = response.data.data.user;
+        if (!userData) {
+          throw new FetchError(FETCH_FAILURE_REASONS.NOT_FOUND, 'User not found', { status: response.status });
+        }
+
+        const edges = userData.edge_owner_to_timeline_media?.edges;
+        if (userData.is_private && !edges?.length) {
+          throw new FetchError(FETCH_FAILURE_REASONS.PRIVATE, 'Account is private', { status: response.status });
+        }
+        if (!edges) {
+          throw new FetchError(FETCH_FAILURE_REASONS.PARSE, 'API response has no timeline');
         }
 
-        const posts = userData.edge_owner_to_timeline_media.edges
+        const posts = edges
           .slice(0, 12)
           .map(edge => {
             const node = edge.node;
@@ -311,7 +559,10 @@ class InstagramService {
               description: node.edge_media_to_caption?.edges[0]?.node?.text || '',
               publishedAt: new Date(node.taken_at_timestamp * 1000),
               thumbnail: node.thumbnail_src || node.display_url,
-              isPinned: node.pinned_for_users && node.pinned_for_users.length > 0
+              isPinned: Array.isArray(node.pinned_for_users) && node.pinned_for_users.length > 0,
+              mediaType: getMediaTypeFromGraphNode(node),
+              media: getGraphNodeMedia(node),
+              likes: node.edge_liked_by?.count ?? node.edge_media_preview_like?.count ?? null
             };
           })
           .sort((a, b) => b.publishedAt - a.publishedAt);
@@ -333,56 +584,238 @@ class InstagramService {
       FETCH_RETRY_ATTEMPTS,
       FETCH_RETRY_BASE_DELAY_MS,
       FETCH_RETRY_MAX_DELAY_MS,
-      (error) => !error.response || error.response.status >= 500
+      isRetryableFetchError
     ).catch(error => {
-      logger.error(`Direct API error for @${username}`, {
+      logger.warn(`Direct API failed for @${username}`, {
         username,
+        reason: classifyFetchError(error),
         error: sanitizeError(error)
       });
-      return [];
+      throw error;
     });
   }
 
   /**
-   * Main method: Fetch posts using RSS Bridge (most reliable method)
+   * Main method: Fetch posts by walking the configured strategy chain
+   * Falls through to the next strategy when one fails or returns no posts.
+   * When every strategy fails, the failure reason is picked from all of them
+   * (see pickFetchFailureReason).
    * @param {string} username - Instagram username
-   * @returns {Promise<Array>} Array of post objects
+   * @returns {Promise<Object>} { posts, strategy, reason, message }; reason and
+   *   message are null on success, strategy is null on failure
    */
   async fetchRecentPosts(username) {
     const startTime = Date.now();
     metrics.recordFetchAttempt(username);
 
-    logger.debug(`Fetching posts for @${username}`, { username });
+    const order = this.getStrategyOrder(username);
+    const failures = [];
 
-    try {
-      const posts = await this.fetchPostsViaRSSBridge(username);
+    logger.debug(`Fetching posts for @${username}`, { username, strategies: order });
 
-      if (posts.length === 0) {
-        logger.warn(`No posts found for @${username}`, { username });
-        metrics.recordFetchFailure(username);
-        return [];
+    for (let i = 0; i < order.length; i++) {
+      const key = order[i];
+      const strategy = this.strategies[key];
+
+      if (i > 0) {
+        await delay(STRATEGY_DELAY_MS);
       }
 
-      const duration = Date.now() - startTime;
-      metrics.recordFetchSuccess(username, 'RSS Bridge', duration);
+      try {
+        const posts = await strategy.fetch(username);
 
-      logger.info(`Found ${posts.length} posts for @${username}`, {
-        username,
-        postCount: posts.length,
-        latestPost: posts[0].id
-      });
+        if (posts.length === 0) {
+          logger.debug(`${strategy.name} returned no posts for @${username}`, {
+            username,
+            strategy: key
+          });
+          failures.push({ strategy: key, reason: FETCH_FAILURE_REASONS.EMPTY, message: 'No posts returned' });
+          continue;
+        }
 
-      return posts;
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      logger.error(`Failed to fetch posts for @${username}`, {
-        username,
-        error: error.message,
-        duration
-      });
-      metrics.recordFetchFailure(username);
+        const duration = Date.now() - startTime;
+        this.lastSuccessfulMethod.set(username, key);
+        metrics.recordFetchSuccess(username, strategy.name, duration);
+
+        logger.info(`Found ${posts.length} posts for @${username} via ${strategy.name}`, {
+          username,
+          strategy: key,
+          postCount: posts.length,
+          latestPost: posts[0].id,
+          duration
+        });
+
+        return { posts, strategy: key, reason: null, message: null };
+      } catch (error) {
+        const reason = classifyFetchError(error);
+        failures.push({ strategy: key, reason, message: error.message });
+
+        logger.warn(`${strategy.name} failed for @${username}`, {
+          username,
+          strategy: key,
+          reason,
+          error: error.message
+        });
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    const reason = pickFetchFailureReason(failures.map(failure => failure.reason));
+    const failure = failures.find(f => f.reason === reason);
+
+    logger.warn(`No posts found for @${username} with any strategy`, {
+      username,
+      strategies: order,
+      reason,
+      failures,
+      duration
+    });
+    this.lastSuccessfulMethod.delete(username);
+    metrics.recordFetchFailure(username);
+
+    return {
+      posts: [],
+      strategy: null,
+      reason,
+      message: failure ? `${failure.strategy}: ${failure.message}` : describeFetchFailure(reason)
+    };
+  }
+
+  /**
+   * Get how long every host of the strategy chain stays throttled by sustained 429s
+   * @returns {number} Milliseconds until a strategy can be tried again, or 0
+   */
+  getThrottlePauseMs() {
+    const hosts = new Set(this.strategyOrder.flatMap(key => this.strategies[key].hosts));
+    return this.governor.getPauseRemaining([...hosts]);
+  }
+
+  /**
+   * Get the request throttle state, e.g. for /status and the health check
+   * @returns {Object} { pausedForMs, hosts }
+   */
+  getThrottleStatus() {
+    return {
+      pausedForMs: this.getThrottlePauseMs(),
+      hosts: this.governor.getStatus()
+    };
+  }
+
+  /**
+   * Probe the dead RSS Bridge instances that are due, bringing back those that answer
+   */
+  async probeBridges() {
+    for (const url of this.bridgePool.getDueProbes()) {
+      try {
+        // The bridge's home page answers without calling Instagram
+        const response = await this.httpClient.get(`${url}/`);
+        this.bridgePool.recordSuccess(url, Date.now() - response.config.startedAt);
+      } catch (error) {
+        logger.debug('RSS Bridge probe failed', { url, error: error.message });
+        if (!error.local) {
+          this.bridgePool.recordFailure(url, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Start probing dead RSS Bridge instances periodically
+   */
+  startBridgeProbes() {
+    if (this.bridgeProbeJob || this.bridgePool.instances.length < 2) {
+      return;
+    }
+
+    this.bridgeProbeJob = cron.schedule(RSS_BRIDGE_PROBE_CRON, () => {
+      this.probeBridges();
+    });
+
+    logger.info('RSS Bridge probes started', {
+      instances: this.bridgePool.instances.map(instance => instance.url),
+      cronExpression: RSS_BRIDGE_PROBE_CRON
+    });
+  }
+
+  /**
+   * Stop probing RSS Bridge instances
+   */
+  stopBridgeProbes() {
+    if (this.bridgeProbeJob) {
+      this.bridgeProbeJob.stop();
+      this.bridgeProbeJob = null;
+    }
+  }
+
+  /**
+   * Get the health of every RSS Bridge instance, e.g. for /status and the health check
+   * @returns {Array} Instance health, in the order instances are tried
+   */
+  getBridgeStatus() {
+    return this.bridgePool.getStatus();
+  }
+
+  /**
+   * Check whether a story source is configured
+   * @returns {boolean} True if stories can be fetched
+   */
+  hasStorySource() {
+    return !!this.storyFeedUrl;
+  }
+
+  /**
+   * Fetch active stories and highlights for an account from the story feed
+   * Highlights are recognized by their /stories/highlights/ URL and never expire
+   * @param {string} username - Instagram username
+   * @returns {Promise<Array>} Array of story objects, newest first
+   */
+  async fetchStories(username) {
+    if (!this.hasStorySource()) {
+      logger.debug('No story source configured, skipping stories', { username });
       return [];
     }
+
+    return retryWithBackoff(
+      async () => {
+        const url = this.storyFeedUrl.replace(/{username}/g, encodeURIComponent(username));
+
+        logger.debug(`Fetching stories for @${username}`, { username, url });
+
+        const response = await this.httpClient.get(url);
+        const feed = await this.parseFeed(response.data);
+
+        if (!feed.items || feed.items.length === 0) {
+          return [];
+        }
+
+        const now = Date.now();
+
+        return feed.items
+          .map(item => {
+            const link = item.link || item.guid;
+            const publishedAt = new Date(item.pubDate || item.isoDate || now);
+            const isHighlight = !!link && link.includes('/stories/highlights/');
+
+            return {
+              id: extractInstagramStoryId(link),
+              url: item.link,
+              title: item.title || '',
+              description: item.contentSnippet || '',
+              publishedAt,
+              expiresAt: isHighlight ? null : new Date(publishedAt.getTime() + STORY_LIFETIME_MS),
+              thumbnail: item['media:content']?.$?.url || null,
+              mediaType: getMediaTypeFromUrl(null, item['media:content']?.$?.medium),
+              isHighlight
+            };
+          })
+          .filter(story => story.id && (!story.expiresAt || story.expiresAt.getTime() > now))
+          .sort((a, b) => b.publishedAt - a.publishedAt);
+      },
+      FETCH_RETRY_ATTEMPTS,
+      FETCH_RETRY_BASE_DELAY_MS,
+      FETCH_RETRY_MAX_DELAY_MS,
+      isRetryableFetchError
+    );
   }
 
   /**
@@ -396,13 +829,14 @@ class InstagramService {
   }
 
   /**
-   * Get the most recent post for an account
+   * Get the most recent non-pinned post for an account
    * @param {string} username - Instagram username
-   * @returns {Promise<Object|null>} Latest post or null
+   * @returns {Promise<Object>} Fetch result (see fetchRecentPosts) with a `post`
+   *   field holding the latest post, or null
    */
   async getLatestPost(username) {
-    const posts = await this.fetchRecentPosts(username);
-    return posts.length > 0 ? posts[0] : null;
+    const result = await this.fetchRecentPosts(username);
+    return { ...result, post: result.posts.find(post => !post.isPinned) || null };
   }
 }
 
@@ -0,0 +1,158 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../utils/logger.js';
+import { sanitizeError } from '../utils/helpers.js';
+import {
+  HTTP_TIMEOUT_MS,
+  MEDIA_MAX_BYTES,
+  MEDIA_CACHE_RETENTION_HOURS,
+  MEDIA_CACHE_CLEANUP_INTERVAL_HOURS
+} from '../utils/constants.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('Media');
+
+// Content types we are willing to upload, mapped to file extensions
+const ALLOWED_CONTENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4'
+};
+
+/**
+ * Media Service
+ * Downloads Instagram media so notifications can attach files instead of
+ * hotlinking CDN URLs that expire after a day or two
+ */
+class MediaService {
+  constructor() {
+    this.enabled = process.env.MEDIA_ATTACHMENTS === 'true';
+    this.maxBytes = parseInt(process.env.MEDIA_MAX_BYTES) || MEDIA_MAX_BYTES;
+    this.cacheDir = path.join(__dirname, '../../data/media');
+
+    this.httpClient = axios.create({
+      timeout: HTTP_TIMEOUT_MS,
+      responseType: 'arraybuffer',
+      maxContentLength: this.maxBytes,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+        'Accept': 'image/avif,image/webp,image/apng,image/*,video/mp4,*/*;q=0.8'
+      }
+    });
+
+    if (this.enabled) {
+      if (!fs.existsSync(this.cacheDir)) {
+        fs.mkdirSync(this.cacheDir, { recursive: true });
+        logger.info('Created media cache directory', { cacheDir: this.cacheDir });
+      }
+      this.setupCleanupSchedule();
+      logger.info('Media attachments enabled', { maxBytes: this.maxBytes, cacheDir: this.cacheDir });
+    }
+  }
+
+  /**
+   * Download a media file into the cache, reusing a cached copy if present
+   * @param {string} url - Media URL
+   * @returns {Promise<Object|null>} { path, name, size } or null if unavailable or not allowed
+   */
+  async download(url) {
+    if (!this.enabled || !url) {
+      return null;
+    }
+
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+
+    // Reuse a cached file for this URL, whichever allowed type it was saved as
+    for (const extension of Object.values(ALLOWED_CONTENT_TYPES)) {
+      const name = `${hash}.${extension}`;
+      const cachedPath = path.join(this.cacheDir, name);
+      if (fs.existsSync(cachedPath)) {
+        return { path: cachedPath, name, size: fs.statSync(cachedPath).size };
+      }
+    }
+
+    try {
+      const response = await this.httpClient.get(url);
+      const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      const extension = ALLOWED_CONTENT_TYPES[contentType];
+
+      if (!extension) {
+        logger.warn('Skipping media with unsupported content type', { contentType });
+        return null;
+      }
+
+      const data = Buffer.from(response.data);
+      if (data.length > this.maxBytes) {
+        logger.debug('Skipping media over size cap', { size: data.length, maxBytes: this.maxBytes });
+        return null;
+      }
+
+      const name = `${hash}.${extension}`;
+      const filePath = path.join(this.cacheDir, name);
+      fs.writeFileSync(filePath, data);
+
+      logger.debug('Media downloaded', { name, size: data.length, contentType });
+      return { path: filePath, name, size: data.length };
+    } catch (error) {
+      logger.warn('Media download failed', { error: sanitizeError(error) });
+      return null;
+    }
+  }
+
+  /**
+   * Remove cached files older than the retention period
+   */
+  cleanupCache() {
+    try {
+      if (!fs.existsSync(this.cacheDir)) {
+        return;
+      }
+
+      const maxAge = MEDIA_CACHE_RETENTION_HOURS * 60 * 60 * 1000;
+      const now = Date.now();
+      let deletedCount = 0;
+
+      for (const file of fs.readdirSync(this.cacheDir)) {
+        const filePath = path.join(this.cacheDir, file);
+        if (now - fs.statSync(filePath).mtimeMs > maxAge) {
+          fs.unlinkSync(filePath);
+          deletedCount++;
+        }
+      }
+
+      if (deletedCount > 0) {
+        logger.info(`Cleaned up ${deletedCount} cached media file(s)`, { deleted: deletedCount });
+      }
+    } catch (error) {
+      logger.error('Failed to cleanup media cache', { error: error.message });
+    }
+  }
+
+  /**
+   * Setup periodic media cache cleanup
+   */
+  setupCleanupSchedule() {
+    this.cleanupCache();
+
+    const intervalMs = MEDIA_CACHE_CLEANUP_INTERVAL_HOURS * 60 * 60 * 1000;
+    this.cleanupInterval = setInterval(() => this.cleanupCache(), intervalMs);
+  }
+
+  /**
+   * Stop the cleanup schedule
+   */
+  close() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+  }
+}
+
+export default MediaService;
@@ -1,14 +1,47 @@
 import cron from 'node-cron';
 import { createLogger } from '../utils/logger.js';
-import { promiseAllWithConcurrency, delay } from '../utils/helpers.js';
+import {
+  promiseAllWithConcurrency,
+  delay,
+  parseContentTypes
+} from '../utils/helpers.js';
+import {
+  parseSchedule,
+  isScheduleActive,
+  getNextActiveWindow,
+  hoursToScheduleSpec
+} from '../utils/activeSchedule.js';
+import {
+  learnPostingSchedule,
+  isScheduleConfident,
+  getAdaptiveIntervalMinutes
+} from '../utils/postingSchedule.js';
 import CircuitBreaker from '../utils/circuitBreaker.js';
+import { FETCH_FAILURE_REASONS, classifyFetchError, describeFetchFailure } from '../utils/fetchErrors.js';
 import metrics from '../utils/metrics.js';
 import {
   ACCOUNT_CHECK_DELAY_MIN_MS,
   ACCOUNT_CHECK_DELAY_MAX_MS,
   ACCOUNT_CHECK_CONCURRENCY,
+  MONITOR_TICK_CRON,
+  CHECK_TIERS,
+  DEFAULT_CHECK_TIER,
+  ADAPTIVE_SCHEDULE_REFRESH_MS,
+  MAX_NEW_POSTS_PER_CHECK,
+  CATCH_UP_MAX_POSTS,
+  CATCH_UP_MODES,
+  CONTENT_TYPES,
+  DEFAULT_CONTENT_TYPES,
   CIRCUIT_BREAKER_FAILURE_THRESHOLD,
-  CIRCUIT_BREAKER_RESET_TIMEOUT_MS
+  CIRCUIT_BREAKER_RESET_TIMEOUT_MS,
+  CIRCUIT_BREAKER_MAX_RESET_TIMEOUT_MS,
+  CIRCUIT_BREAKER_FAILURE_DECAY_MS,
+  CIRCUIT_BREAKER_EVENT_HISTORY,
+  STORY_BREAKER_KEY_SUFFIX,
+  RATE_LIMIT_BREAKER_KEY,
+  SENT_MESSAGE_VERIFY_INTERVAL_MS,
+  SENT_MESSAGE_MISSING_THRESHOLD,
+  REMOVED_POST_ACTIONS
 } from '../utils/constants.js';
 
 const logger = createLogger('Monitor');
@@ -23,25 +56,55 @@ class MonitorService {
     this.notification = notificationService;
     this.db = database;
     this.isRunning = false;
+    this.isChecking = false;
     this.cronJob = null;
     this.checkInterval = parseInt(process.env.CHECK_INTERVAL) || 5;
+
+    // Due-time queue: account ID -> timestamp of its next check
+    this.nextCheckAt = new Map();
+
+    // Adaptive polling: account ID -> { schedule, learnedAt }
+    this.adaptivePolling = process.env.ADAPTIVE_POLLING !== 'false';
+    this.postingSchedules = new Map();
     this.debugMode = process.env.DEBUG_MODE === 'true';
 
-    // Active hours configuration
-    this.activeHoursStart = process.env.ACTIVE_HOURS_START ? parseInt(process.env.ACTIVE_HOURS_START) : null;
-    this.activeHoursEnd = process.env.ACTIVE_HOURS_END ? parseInt(process.env.ACTIVE_HOURS_END) : null;
+    // Active hours configuration: schedule spec -> parsed schedule (null if invalid)
+    this.parsedSchedules = new Map();
     this.activeHoursTimezone = process.env.ACTIVE_HOURS_TIMEZONE || 'Asia/Tokyo';
-
-    // Circuit breaker to prevent repeated failures
+    this.activeSchedule = this.loadDefaultSchedule();
+
+    // Catch-up after quiet periods: accounts skipped while quiet are caught up
+    // on their next check, as individual announcements or one digest. Skipped
+    // accounts are flagged in the database, so a restart keeps the catch-up.
+    this.catchUpMode = CATCH_UP_MODES.includes(process.env.CATCH_UP_MODE)
+      ? process.env.CATCH_UP_MODE
+      : 'individual';
+
+    // What to do with announcements whose Instagram post was deleted
+    this.removedPostAction = REMOVED_POST_ACTIONS.includes(process.env.REMOVED_POST_ACTION)
+      ? process.env.REMOVED_POST_ACTION
+      : 'ignore';
+    this.lastVerification = new Map();
+
+    // Circuit breaker to prevent repeated failures, persisted so a restart
+    // does not retry every broken account at once
     this.circuitBreaker = new CircuitBreaker(
       CIRCUIT_BREAKER_FAILURE_THRESHOLD,
-      CIRCUIT_BREAKER_RESET_TIMEOUT_MS
+      CIRCUIT_BREAKER_RESET_TIMEOUT_MS,
+      {
+        maxResetTimeoutMs: CIRCUIT_BREAKER_MAX_RESET_TIMEOUT_MS,
+        failureDecayMs: CIRCUIT_BREAKER_FAILURE_DECAY_MS
+      }
     );
+    this.circuitBreakerEvents = [];
+    this.restoreCircuitBreakers();
+    this.throttlePauseLogged = false;
+    this.circuitBreaker.on('change', (key, snapshot) => this.persistCircuitBreaker(key, snapshot));
+    this.circuitBreaker.on('transition', event => this.handleCircuitBreakerTransition(event));
 
-    if (this.activeHoursStart !== null && this.activeHoursEnd !== null) {
+    if (this.activeSchedule) {
       logger.info('Active hours configured', {
-        start: this.activeHoursStart,
-        end: this.activeHoursEnd,
+        schedule: this.activeSchedule.spec,
         timezone: this.activeHoursTimezone
       });
     }
@@ -62,21 +125,18 @@ class MonitorService {
 
     logger.info('Starting monitor', { checkInterval: this.checkInterval });
 
-    // Run initial check
-    this.checkAllAccounts();
-
-    // Schedule periodic checks using cron
-    // Convert minutes to cron expression: */5 means every 5 minutes
-    const cronExpression = `*/${this.checkInterval} * * * *`;
+    // Run initial check (every account is due on startup)
+    this.checkDueAccounts();
 
-    this.cronJob = cron.schedule(cronExpression, () => {
-      this.checkAllAccounts();
+    // Every tick checks only the accounts whose tier interval has elapsed
+    this.cronJob = cron.schedule(MONITOR_TICK_CRON, () => {
+      this.checkDueAccounts();
     });
 
     this.isRunning = true;
     logger.info('Monitor started successfully', {
-      cronExpression,
-      nextCheck: `${this.checkInterval} minutes`
+      cronExpression: MONITOR_TICK_CRON,
+      defaultInterval: `${this.checkInterval} minutes`
     });
   }
 
@@ -93,44 +153,159 @@ class MonitorService {
   }
 
   /**
-   * Check if current time is within active hours
-   * @returns {boolean} True if within active hours or no active hours configured
+   * Load the default active schedule from ACTIVE_SCHEDULE, falling back to
+   * the ACTIVE_HOURS_START/END hour pair
+   * @returns {Object|null} Parsed schedule, or null to check around the clock
    */
-  isWithinActiveHours() {
-    // If no active hours configured, always return true
-    if (this.activeHoursStart === null || this.activeHoursEnd === null) {
-      return true;
+  loadDefaultSchedule() {
+    let spec = process.env.ACTIVE_SCHEDULE || null;
+
+    if (!spec && process.env.ACTIVE_HOURS_START && process.env.ACTIVE_HOURS_END) {
+      spec = hoursToScheduleSpec(parseInt(process.env.ACTIVE_HOURS_START), parseInt(process.env.ACTIVE_HOURS_END));
     }
 
-    try {
-      // Get current hour in configured timezone using Intl.DateTimeFormat
-      const formatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: this.activeHoursTimezone,
-        hour: 'numeric',
-        hour12: false
-      });
+    return spec ? this.getParsedSchedule(spec) : null;
+  }
 
-      const parts = formatter.formatToParts(new Date());
-      const hourPart = parts.find(part => part.type === 'hour');
-      const currentHour = parseInt(hourPart.value);
+  /**
+   * Parse a schedule spec, caching the result
+   * Invalid specs are logged once and treated as unrestricted
+   * @param {string|null} spec - Schedule spec
+   * @returns {Object|null} Parsed schedule, or null if unset or invalid
+   */
+  getParsedSchedule(spec) {
+    if (!spec) {
+      return null;
+    }
 
-      // Handle overnight time windows (e.g., 21:00 - 05:00)
-      if (this.activeHoursStart > this.activeHoursEnd) {
-        // Active from start hour to midnight, OR midnight to end hour
-        return currentHour >= this.activeHoursStart || currentHour < this.activeHoursEnd;
-      } else {
-        // Normal time window (e.g., 09:00 - 17:00)
-        return currentHour >= this.activeHoursStart && currentHour < this.activeHoursEnd;
+    if (!this.parsedSchedules.has(spec)) {
+      try {
+        this.parsedSchedules.set(spec, parseSchedule(spec));
+      } catch (error) {
+        logger.error('Invalid active schedule, ignoring it', { spec, error: error.message });
+        this.parsedSchedules.set(spec, null);
       }
+    }
+    return this.parsedSchedules.get(spec);
+  }
+
+  /**
+   * Check whether a schedule is active, treating errors as active
+   * @param {Object|null} schedule - Parsed schedule (null means always active)
+   * @param {string} timezone - Timezone to evaluate the schedule in
+   * @returns {boolean} True if active
+   */
+  isScheduleActiveNow(schedule, timezone) {
+    if (!schedule) {
+      return true;
+    }
+
+    try {
+      return isScheduleActive(schedule, timezone);
     } catch (error) {
-      logger.error('Error checking active hours, defaulting to active', {
-        error: error.message,
-        timezone: this.activeHoursTimezone
+      logger.error('Error checking active schedule, defaulting to active', {
+        schedule: schedule.spec,
+        timezone,
+        error: error.message
       });
       return true; // Default to checking if there's an error
     }
   }
 
+  /**
+   * Check if current time is within active hours
+   * @param {string} timezone - Timezone to evaluate the hours in
+   * @returns {boolean} True if within active hours or no active hours configured
+   */
+  isWithinActiveHours(timezone = this.activeHoursTimezone) {
+    return this.isScheduleActiveNow(this.activeSchedule, timezone);
+  }
+
+  /**
+   * Get the schedule that decides when a guild receives notifications
+   * A schedule set with /schedule wins over quiet hours from /config, which win
+   * over the ACTIVE_SCHEDULE / ACTIVE_HOURS_* defaults
+   * @param {string} guildId - Discord guild ID
+   * @returns {Object} { schedule, timezone, source } - source is 'server', 'quiet_hours' or 'default'
+   */
+  getGuildSchedule(guildId) {
+    const guildSettings = this.db.getGuildSettings(guildId);
+    const timezone = guildSettings?.timezone || this.activeHoursTimezone;
+
+    if (guildSettings?.active_schedule) {
+      return { schedule: this.getParsedSchedule(guildSettings.active_schedule), timezone, source: 'server' };
+    }
+
+    if (guildSettings?.quiet_hours_start !== null && guildSettings?.quiet_hours_start !== undefined) {
+      // Quiet hours are the inverse of an active window
+      const spec = hoursToScheduleSpec(guildSettings.quiet_hours_end, guildSettings.quiet_hours_start);
+      return { schedule: this.getParsedSchedule(spec), timezone, source: 'quiet_hours' };
+    }
+
+    return { schedule: this.activeSchedule, timezone, source: 'default' };
+  }
+
+  /**
+   * Get the schedule that decides when an account is checked
+   * @param {Object} account - Account object
+   * @returns {Object} { schedule, timezone } - schedule is null if the account has none
+   */
+  getAccountSchedule(account) {
+    return { schedule: this.getParsedSchedule(account.active_schedule), timezone: this.activeHoursTimezone };
+  }
+
+  /**
+   * Check if a guild is currently in its quiet hours
+   * @param {string} guildId - Discord guild ID
+   * @returns {boolean} True if notifications to the guild should be held back
+   */
+  isGuildInQuietHours(guildId) {
+    const { schedule, timezone } = this.getGuildSchedule(guildId);
+    return !this.isScheduleActiveNow(schedule, timezone);
+  }
+
+  /**
+   * Find the current or next active window of a schedule
+   * @param {Object} scheduleInfo - { schedule, timezone } from getGuildSchedule() or getAccountSchedule()
+   * @returns {Object|null} { start, end, isActive } or null if unrestricted or no window within a year
+   */
+  getNextActiveWindow({ schedule, timezone }) {
+    return schedule ? getNextActiveWindow(schedule, timezone) : null;
+  }
+
+  /**
+   * Split the notification settings of an account by whether their guild is in quiet hours
+   * Accounts outside their own active schedule have no deliverable settings
+   * @param {Object} account - Account object
+   * @returns {Object} { settings, heldSettings, quiet } - deliverable settings, settings of
+   *   quiet guilds, and whether the account is fully quiet
+   */
+  getDeliverableSettings(account) {
+    // An account outside its own schedule is not checked for any guild
+    const accountSchedule = this.getAccountSchedule(account);
+    if (!this.isScheduleActiveNow(accountSchedule.schedule, accountSchedule.timezone)) {
+      return { settings: [], heldSettings: [], quiet: true };
+    }
+
+    const allSettings = this.db.getNotificationSettings(account.id);
+
+    if (allSettings.length === 0) {
+      return { settings: allSettings, heldSettings: [], quiet: !this.isWithinActiveHours() };
+    }
+
+    const quietGuilds = new Map();
+    const settings = [];
+    const heldSettings = [];
+    for (const setting of allSettings) {
+      if (!quietGuilds.has(setting.guild_id)) {
+        quietGuilds.set(setting.guild_id, this.isGuildInQuietHours(setting.guild_id));
+      }
+      (quietGuilds.get(setting.guild_id) ? heldSettings : settings).push(setting);
+    }
+
+    return { settings, heldSettings, quiet: settings.length === 0 };
+  }
+
   /**
    * Get current time string in configured timezone
    * @returns {string} Formatted time string
@@ -150,39 +325,238 @@ class MonitorService {
   }
 
   /**
-   * Check all active Instagram accounts for new posts
-   * Uses parallel checking with concurrency limit
+   * Get the check tier of an account
+   * @param {Object} account - Account object
+   * @returns {string} Check tier
    */
-  async checkAllAccounts() {
-    const cycleStartTime = Date.now();
+  getCheckTier(account) {
+    return account.check_tier in CHECK_TIERS ? account.check_tier : DEFAULT_CHECK_TIER;
+  }
 
-    // Check if we're within active hours
-    if (!this.isWithinActiveHours()) {
-      const currentTime = this.getCurrentTime();
-      logger.info('Outside active hours, skipping check', {
-        currentTime,
-        timezone: this.activeHoursTimezone,
-        activeHours: `${this.activeHoursStart}:00 - ${this.activeHoursEnd}:00`
-      });
-      return;
+  /**
+   * Get the minutes between checks of an account's tier
+   * @param {Object} account - Account object
+   * @returns {number} Tier interval in minutes
+   */
+  getTierIntervalMinutes(account) {
+    return CHECK_TIERS[this.getCheckTier(account)] ?? this.checkInterval;
+  }
+
+  /**
+   * Get an account's posting schedule learned from its post history
+   * Scraped posts without a real publish date never reach the history, so they
+   * cannot skew the schedule
+   * @param {Object} account - Account object
+   * @returns {Object} Learned schedule (see learnPostingSchedule)
+   */
+  getPostingSchedule(account) {
+    const cached = this.postingSchedules.get(account.id);
+    if (cached && Date.now() - cached.learnedAt < ADAPTIVE_SCHEDULE_REFRESH_MS) {
+      return cached.schedule;
     }
 
-    logger.info('Starting account check cycle');
+    const schedule = learnPostingSchedule(this.db.getPostTimestamps(account.id), this.activeHoursTimezone);
+    this.postingSchedules.set(account.id, { schedule, learnedAt: Date.now() });
+    return schedule;
+  }
 
-    const accounts = this.db.getAllActiveAccounts();
+  /**
+   * Get the minutes between checks for an account
+   * With adaptive polling the tier interval is shortened during the account's
+   * usual posting hours and lengthened outside them
+   * @param {Object} account - Account object
+   * @returns {number} Check interval in minutes
+   */
+  getCheckIntervalMinutes(account) {
+    const tierMinutes = this.getTierIntervalMinutes(account);
+
+    if (!this.adaptivePolling) {
+      return tierMinutes;
+    }
+
+    return getAdaptiveIntervalMinutes(this.getPostingSchedule(account), tierMinutes, this.activeHoursTimezone);
+  }
+
+  /**
+   * Summarize an account's learned posting schedule for status output
+   * @param {Object} account - Account object
+   * @returns {Object|null} { sampleSize, postsPerWeek, peakHours, timezone } or null if not enough history
+   */
+  getPostingScheduleSummary(account) {
+    if (!this.adaptivePolling) {
+      return null;
+    }
+
+    const schedule = this.getPostingSchedule(account);
+    if (!isScheduleConfident(schedule)) {
+      return null;
+    }
+
+    return {
+      sampleSize: schedule.sampleSize,
+      postsPerWeek: Math.round(schedule.postsPerWeek * 10) / 10,
+      peakHours: schedule.peakHours,
+      timezone: this.activeHoursTimezone
+    };
+  }
+
+  /**
+   * Schedule an account's next check one tier interval from now
+   * @param {Object} account - Account object
+   */
+  scheduleNextCheck(account) {
+    this.nextCheckAt.set(account.id, Date.now() + this.getCheckIntervalMinutes(account) * 60 * 1000);
+  }
+
+  /**
+   * Make an account due on the next tick, e.g. after its tier changed
+   * @param {number} accountId - Account ID
+   */
+  rescheduleAccount(accountId) {
+    this.nextCheckAt.delete(accountId);
+  }
 
-    if (accounts.length === 0) {
-      logger.info('No active accounts to monitor');
+  /**
+   * Check the active Instagram accounts that are due, most overdue first
+   * Uses parallel checking with concurrency limit
+   */
+  async checkDueAccounts() {
+    // A slow cycle can outlast the one-minute tick
+    if (this.isChecking) {
+      logger.debug('Previous check cycle still running, skipping tick');
       return;
     }
 
-    logger.info(`Checking ${accounts.length} accounts with concurrency ${ACCOUNT_CHECK_CONCURRENCY}`);
+    const now = Date.now();
+    const accounts = this.db.getAllActiveAccounts()
+      .filter(account => (this.nextCheckAt.get(account.id) || 0) <= now)
+      .sort((a, b) => (this.nextCheckAt.get(a.id) || 0) - (this.nextCheckAt.get(b.id) || 0));
+
+    this.isChecking = true;
+    try {
+      await this.releaseHeldPosts();
+
+      // Due accounts stay due, so they are checked once the throttle lifts
+      if (accounts.length > 0 && !this.isThrottled()) {
+        await this.runCheckCycle(accounts);
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Announce posts held back for guilds whose quiet hours have ended
+   */
+  async releaseHeldPosts() {
+    for (const guildId of this.db.getHeldGuildIds()) {
+      if (this.isGuildInQuietHours(guildId)) {
+        continue;
+      }
+
+      try {
+        const heldPosts = this.db.getHeldPosts(guildId);
+
+        // Group by notification setting so each channel gets its own catch-up
+        const bySetting = new Map();
+        for (const held of heldPosts) {
+          if (!bySetting.has(held.notification_setting_id)) {
+            bySetting.set(held.notification_setting_id, []);
+          }
+          bySetting.get(held.notification_setting_id).push(held);
+        }
+
+        for (const [settingId, held] of bySetting) {
+          const account = {
+            id: held[0].instagram_account_id,
+            username: held[0].username,
+            display_name: held[0].display_name
+          };
+          const setting = this.db.getNotificationSettings(account.id).find(s => s.id === settingId);
+          const posts = held.map(row => row.post);
+
+          // Channels that stopped tracking the account in the meantime are skipped
+          if (setting) {
+            logger.info('Releasing held posts after quiet hours', {
+              username: account.username,
+              guildId,
+              channelId: setting.channel_id,
+              posts: posts.length
+            });
+
+            if (this.catchUpMode === 'digest' && posts.length > 1) {
+              await this.notification.sendDigest(posts, account, [setting], `${posts.length} posts while notifications were paused`);
+            } else {
+              for (const post of posts) {
+                await this.notification.sendNotification(post, account, [setting], 'post', { checkDuplicates: false });
+              }
+            }
+          }
+
+          this.db.removeHeldPosts(held.map(row => row.id));
+        }
+      } catch (error) {
+        logger.error('Failed to release held posts', { guildId, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Check whether checks are paused because every fetch source keeps answering 429
+   * @returns {boolean} True while the request governor holds back every strategy's host
+   */
+  isThrottled() {
+    const pauseMs = this.instagram.getThrottlePauseMs();
+
+    if (pauseMs === 0) {
+      if (this.throttlePauseLogged) {
+        logger.info('Request throttle lifted, resuming checks');
+        this.throttlePauseLogged = false;
+      }
+      return false;
+    }
+
+    if (!this.throttlePauseLogged) {
+      logger.warn('Sustained rate limiting on every fetch source, pausing checks', {
+        resumeInSeconds: Math.round(pauseMs / 1000)
+      });
+      this.throttlePauseLogged = true;
+    }
+    return true;
+  }
+
+  /**
+   * Check a set of accounts for new posts
+   * @param {Array} accounts - Account objects
+   */
+  async runCheckCycle(accounts) {
+    const cycleStartTime = Date.now();
+
+    logger.info(`Checking ${accounts.length} due account(s) with concurrency ${ACCOUNT_CHECK_CONCURRENCY}`);
 
     // Check accounts in parallel with concurrency limit
     const results = await promiseAllWithConcurrency(
       accounts,
       async (account) => {
-        await this.checkAccount(account);
+        // Sustained 429s mid-cycle leave the remaining accounts due for after the pause
+        if (this.isThrottled()) {
+          return;
+        }
+
+        this.scheduleNextCheck(account);
+
+        // Accounts whose guilds are all in quiet hours are skipped, and the first
+        // check after quiet hours end catches up on everything posted meanwhile
+        const { settings, heldSettings, quiet } = this.getDeliverableSettings(account);
+        if (quiet) {
+          logger.debug('Account or all its channels outside active hours, skipping account', { username: account.username });
+          if (!account.catch_up_pending) {
+            this.db.setCatchUpPending(account.id, true);
+          }
+          return;
+        }
+
+        await this.checkAccount(account, settings, { heldSettings, catchUp: Boolean(account.catch_up_pending) });
         // Add random delay between accounts to avoid rate limiting
         const delayMs = ACCOUNT_CHECK_DELAY_MIN_MS +
                        Math.random() * (ACCOUNT_CHECK_DELAY_MAX_MS - ACCOUNT_CHECK_DELAY_MIN_MS);
@@ -191,8 +565,9 @@ class MonitorService {
       ACCOUNT_CHECK_CONCURRENCY
     );
 
-    // Cleanup old post history (once per check cycle)
+    // Cleanup old post and story history (once per check cycle)
     this.db.cleanupOldHistory();
+    this.db.cleanupExpiredStories();
 
     const cycleDuration = Date.now() - cycleStartTime;
     logger.info('Check cycle completed', {
@@ -205,13 +580,30 @@ class MonitorService {
   /**
    * Check a single Instagram account for new posts
    * @param {Object} account - Account object from database
+   * @param {Array} notificationSettings - Settings to notify (defaults to all of the account's settings)
+   * @param {Object} options - Check options
+   * @param {Array} options.heldSettings - Settings of guilds in quiet hours; new posts are held for them
+   * @param {boolean} options.catchUp - First check after a quiet period; announces up to
+   *   CATCH_UP_MAX_POSTS posts, as a digest if CATCH_UP_MODE is "digest"
    */
-  async checkAccount(account) {
+  async checkAccount(account, notificationSettings = this.db.getNotificationSettings(account.id), { heldSettings = [], catchUp = false } = {}) {
     const startTime = Date.now();
 
     try {
+      // Rate limits hit every account alike, so they share one circuit
+      if (this.circuitBreaker.isOpen(RATE_LIMIT_BREAKER_KEY)) {
+        logger.debug('Rate limit circuit open, skipping account', {
+          username: account.username,
+          remainingTime: Math.round(this.circuitBreaker.getRemainingResetTime(RATE_LIMIT_BREAKER_KEY) / 1000) + 's'
+        });
+        return;
+      }
+
       // Check circuit breaker
       if (this.circuitBreaker.isOpen(account.username)) {
+        // Hand a rate limit probe this check may hold to the next account
+        this.circuitBreaker.releaseProbe(RATE_LIMIT_BREAKER_KEY);
+
         const remainingTime = this.circuitBreaker.getRemainingResetTime(account.username);
         logger.warn('Circuit breaker open, skipping account', {
           username: account.username,
@@ -226,30 +618,34 @@ class MonitorService {
         lastPostId: account.last_post_id || 'none'
       });
 
-      // Fetch latest post
-      const latestPost = await this.instagram.getLatestPost(account.username);
-
-      if (!latestPost) {
-        logger.warn('No posts found for account', { username: account.username });
-        this.db.updateLastChecked(account.id);
+      // Stories are fetched separately and trip their own breaker, not the account's
+      await this.checkStories(account, notificationSettings);
 
-        // Record failure for circuit breaker
-        const tripped = this.circuitBreaker.recordFailure(account.username);
-        if (tripped) {
-          logger.error('Circuit breaker tripped for account', {
-            username: account.username,
-            failures: this.circuitBreaker.getFailureCount(account.username)
-          });
-          metrics.recordCircuitBreakerTrip(account.username);
-        }
+      // Fetch recent posts (newest first)
+      const result = await this.instagram.fetchRecentPosts(account.username);
+      const posts = result.posts;
 
+      if (posts.length === 0) {
+        this.handleFetchFailure(account, result);
         return;
       }
 
-      // Success - reset circuit breaker
+      // Success - reset circuit breakers
       this.circuitBreaker.recordSuccess(account.username);
+      this.circuitBreaker.recordSuccess(RATE_LIMIT_BREAKER_KEY);
+      if (account.last_fetch_error) {
+        this.db.setFetchError(account.id, null);
+      }
 
-      if (this.debugMode) {
+      // Pinned posts keep their original date, so they never count as the latest post.
+      // Posts scraped without a publish date carry the fetch time and come in page
+      // order, so they cannot tell which posts are new either.
+      const feedPosts = posts.filter(post => !post.isPinned && !post.isDateEstimated);
+      const latestPost = feedPosts[0] || null;
+
+      await this.checkPinnedPosts(account, posts, notificationSettings);
+
+      if (this.debugMode && latestPost) {
         logger.debug('Latest post details', {
           username: account.username,
           postId: latestPost.id,
@@ -258,63 +654,94 @@ class MonitorService {
         });
       }
 
-      // Check if this is a new post
-      const isNewPost = this.isNewPost(account, latestPost);
+      // Collect every post we have not announced yet (oldest first)
+      const newPosts = this.findNewPosts(account, feedPosts, catchUp ? CATCH_UP_MAX_POSTS : MAX_NEW_POSTS_PER_CHECK);
+      const sendAsDigest = catchUp && this.catchUpMode === 'digest' && newPosts.length > 1;
 
-      if (isNewPost) {
-        logger.info('NEW POST detected', {
-          username: account.username,
-          oldPostId: account.last_post_id,
-          newPostId: latestPost.id,
-          url: latestPost.url,
-          publishedAt: latestPost.publishedAt.toISOString()
-        });
-
-        metrics.recordPostDetected(account.username);
+      if (newPosts.length > 0) {
+        if (notificationSettings.length === 0 && heldSettings.length === 0) {
+          logger.warn('No notification settings configured for account', { username: account.username });
+        }
 
-        // Check if we've already notified about this post (double-check safety)
-        const alreadyNotified = this.db.hasPostBeenNotified(account.id, latestPost.id);
+        if (catchUp) {
+          logger.info('Catching up on posts from quiet period', {
+            username: account.username,
+            posts: newPosts.length,
+            mode: sendAsDigest ? 'digest' : 'individual'
+          });
+        }
 
-        if (!alreadyNotified) {
-          // Get notification settings for this account
-          const notificationSettings = this.db.getNotificationSettings(account.id);
+        for (const post of newPosts) {
+          logger.info('NEW POST detected', {
+            username: account.username,
+            oldPostId: account.last_post_id,
+            newPostId: post.id,
+            url: post.url,
+            publishedAt: post.publishedAt.toISOString()
+          });
 
-          if (notificationSettings.length > 0) {
-            logger.info('Sending notifications', {
-              username: account.username,
-              channels: notificationSettings.length
-            });
+          metrics.recordPostDetected(account.username);
 
-            // Send notifications
-            const results = await this.notification.sendNotification(latestPost, account, notificationSettings);
+          if (notificationSettings.length === 0 && heldSettings.length === 0) {
+            continue;
+          }
 
-            // Record that we've notified about this post
-            this.db.addPostToHistory(account.id, latestPost.id, latestPost.url);
+          // Send notifications (a catch-up digest is sent once all posts are recorded)
+          if (notificationSettings.length > 0 && !sendAsDigest) {
+            const results = await this.notification.sendNotification(post, account, notificationSettings);
 
             const successCount = results.filter(r => r.success).length;
             logger.info('Notifications sent', {
               username: account.username,
+              postId: post.id,
               successful: successCount,
+              retrying: results.filter(r => r.retrying).length,
               total: notificationSettings.length
             });
-          } else {
-            logger.warn('No notification settings configured for account', { username: account.username });
           }
-        } else {
-          logger.warn('Post already notified (duplicate detection)', {
+
+          // Guilds in quiet hours get the post once their quiet hours end
+          for (const setting of heldSettings) {
+            this.db.holdPost(account.id, setting, post);
+          }
+
+          // Record that we've notified about this post
+          this.db.addPostToHistory(account.id, post.id, post.url, post.publishedAt);
+          this.postingSchedules.delete(account.id);
+        }
+
+        if (sendAsDigest && notificationSettings.length > 0) {
+          const results = await this.notification.sendDigest(
+            newPosts,
+            account,
+            notificationSettings,
+            `${newPosts.length} posts while notifications were paused`
+          );
+          logger.info('Catch-up digest sent', {
             username: account.username,
-            postId: latestPost.id
+            posts: newPosts.length,
+            successful: results.filter(r => r.success).length,
+            total: notificationSettings.length
           });
-          metrics.recordDuplicateDetected();
         }
-
-        // Update last post ID
-        this.db.updateLastPostId(account.id, latestPost.id);
       } else {
         logger.debug('No new posts', {
           username: account.username,
-          currentPostId: latestPost.id
+          currentPostId: latestPost?.id || 'none'
         });
+      }
+
+      await this.verifySentMessages(account, posts);
+
+      // A failed fetch keeps the catch-up for the next check
+      if (catchUp) {
+        this.db.setCatchUpPending(account.id, false);
+      }
+
+      // Update last post ID (also refreshes last_checked)
+      if (latestPost && latestPost.id !== account.last_post_id) {
+        this.db.updateLastPostId(account.id, latestPost.id);
+      } else {
         this.db.updateLastChecked(account.id);
       }
 
@@ -339,61 +766,327 @@ class MonitorService {
       metrics.recordError('account_check_error');
 
       // Record failure for circuit breaker
-      const tripped = this.circuitBreaker.recordFailure(account.username);
-      if (tripped) {
-        logger.error('Circuit breaker tripped for account', {
+      this.circuitBreaker.recordFailure(account.username);
+      this.circuitBreaker.releaseProbe(RATE_LIMIT_BREAKER_KEY);
+
+      this.db.updateLastChecked(account.id);
+    }
+  }
+
+  /**
+   * Record a fetch that returned no posts, depending on why it failed
+   * - Rate limits count against the shared RATE_LIMIT_BREAKER_KEY circuit, not the account
+   * - Missing and private accounts will not recover within minutes, so their circuit opens right away
+   * - Network, parse and empty results count as ordinary failures of the account
+   * @param {Object} account - Account object from database
+   * @param {Object} result - Fetch result from InstagramService.fetchRecentPosts
+   */
+  handleFetchFailure(account, result) {
+    const { reason, message } = result;
+
+    logger.warn('No posts found for account', {
+      username: account.username,
+      reason,
+      description: describeFetchFailure(reason),
+      error: message
+    });
+
+    this.db.updateLastChecked(account.id);
+    this.db.setFetchError(account.id, reason);
+
+    // Each branch settles one circuit and releases a probe the check may hold on the other
+    if (reason === FETCH_FAILURE_REASONS.RATE_LIMITED) {
+      this.circuitBreaker.recordFailure(RATE_LIMIT_BREAKER_KEY);
+      this.circuitBreaker.releaseProbe(account.username);
+    } else if (reason === FETCH_FAILURE_REASONS.NOT_FOUND || reason === FETCH_FAILURE_REASONS.PRIVATE) {
+      this.circuitBreaker.trip(account.username);
+      this.circuitBreaker.releaseProbe(RATE_LIMIT_BREAKER_KEY);
+    } else {
+      this.circuitBreaker.recordFailure(account.username);
+      this.circuitBreaker.releaseProbe(RATE_LIMIT_BREAKER_KEY);
+    }
+  }
+
+  /**
+   * Re-verify recent announcements against the fetched posts
+   * Edits announcements whose caption changed and, depending on REMOVED_POST_ACTION,
+   * marks or deletes announcements whose post disappeared. A post only counts as
+   * removed if it is missing from a fetch that reaches back past its publish time,
+   * for several consecutive checks, since fetch strategies return limited windows.
+   * @param {Object} account - Account object
+   * @param {Array} posts - Fetched posts, newest first
+   */
+  async verifySentMessages(account, posts) {
+    const lastRun = this.lastVerification.get(account.id) || 0;
+    if (Date.now() - lastRun < SENT_MESSAGE_VERIFY_INTERVAL_MS) {
+      return;
+    }
+    this.lastVerification.set(account.id, Date.now());
+
+    const records = this.db.getSentMessagesToVerify(account.id);
+    if (records.length === 0) {
+      return;
+    }
+
+    const postsById = new Map(posts.map(post => [post.id, post]));
+    const settingsById = new Map(this.db.getNotificationSettings(account.id).map(s => [s.id, s]));
+
+    // Pinned posts keep their original date, so they would stretch the window too far back
+    const feedDates = posts
+      .filter(post => !post.isPinned && post.publishedAt && !isNaN(post.publishedAt.getTime()))
+      .map(post => post.publishedAt.getTime());
+    const oldestFetched = feedDates.length > 0 ? Math.min(...feedDates) : null;
+
+    for (const record of records) {
+      try {
+        const post = postsById.get(record.post_id);
+
+        if (post) {
+          this.db.markSentMessageSeen(record.id);
+
+          // An empty caption usually means the strategy does not return captions
+          const caption = post.description || '';
+          const setting = settingsById.get(record.notification_setting_id);
+          if (!caption || caption.trim() === (record.caption || '').trim() || !setting) {
+            continue;
+          }
+
+          const exists = await this.notification.editNotification(record, post, account, setting);
+          if (exists) {
+            this.db.updateSentMessageCaption(record.id, caption);
+          } else {
+            this.db.setSentMessageStatus(record.id, 'deleted');
+          }
+          continue;
+        }
+
+        const publishedAt = record.published_at ? new Date(`${record.published_at}Z`).getTime() : null;
+        if (this.removedPostAction === 'ignore' || !publishedAt || !oldestFetched || publishedAt < oldestFetched) {
+          continue;
+        }
+
+        const missingCount = this.db.recordSentMessageMissing(record.id);
+        if (missingCount < SENT_MESSAGE_MISSING_THRESHOLD) {
+          continue;
+        }
+
+        logger.info('Announced post no longer exists on Instagram', {
           username: account.username,
-          failures: this.circuitBreaker.getFailureCount(account.username)
+          postId: record.post_id,
+          channelId: record.channel_id,
+          action: this.removedPostAction
         });
-        metrics.recordCircuitBreakerTrip(account.username);
-      }
 
-      this.db.updateLastChecked(account.id);
+        await this.notification.handleRemovedPost(record, this.removedPostAction);
+        this.db.setSentMessageStatus(record.id, this.removedPostAction === 'delete' ? 'deleted' : 'removed');
+      } catch (error) {
+        logger.warn('Failed to verify sent message', {
+          username: account.username,
+          postId: record.post_id,
+          messageId: record.message_id,
+          error: error.message
+        });
+      }
     }
   }
 
   /**
-   * Determine if a post is new
+   * Compare pinned posts against the last recorded set and announce newly
+   * pinned posts to settings that opted in
    * @param {Object} account - Account object
-   * @param {Object} post - Post object
-   * @returns {boolean} True if post is new
+   * @param {Array} posts - Fetched posts, newest first
+   * @param {Array} notificationSettings - Deliverable notification settings
    */
-  isNewPost(account, post) {
-    if (this.debugMode) {
-      logger.debug('Checking if post is new', {
+  async checkPinnedPosts(account, posts, notificationSettings) {
+    // Only some fetch strategies know which posts are pinned
+    if (!posts.some(post => typeof post.isPinned === 'boolean')) {
+      return;
+    }
+
+    const pinnedPosts = posts.filter(post => post.isPinned);
+    const pinnedIds = pinnedPosts.map(post => post.id);
+    const previousIds = this.db.getPinnedPostIds(account);
+
+    if (previousIds === null || pinnedIds.join(',') !== previousIds.join(',')) {
+      this.db.updatePinnedPosts(account.id, pinnedIds);
+    }
+
+    // First time we see pin data for this account, just record it
+    if (previousIds === null) {
+      return;
+    }
+
+    const newlyPinned = pinnedPosts.filter(post => !previousIds.includes(post.id));
+    if (newlyPinned.length === 0) {
+      return;
+    }
+
+    const settings = notificationSettings.filter(setting => setting.announce_pinned);
+
+    for (const post of newlyPinned) {
+      logger.info('Newly pinned post detected', {
         username: account.username,
         postId: post.id,
-        lastPostId: account.last_post_id,
-        publishedAt: post.publishedAt ? post.publishedAt.toISOString() : 'UNKNOWN',
-        lastChecked: account.last_checked || 'NEVER'
+        channels: settings.length
+      });
+
+      if (settings.length > 0) {
+        await this.notification.sendNotification(post, account, settings, 'pinned');
+      }
+    }
+  }
+
+  /**
+   * Check an account's stories and highlights, announcing unseen ones to
+   * settings that subscribed to stories
+   * @param {Object} account - Account object
+   * @param {Array} notificationSettings - Deliverable notification settings
+   */
+  async checkStories(account, notificationSettings) {
+    const settings = notificationSettings
+      .filter(setting =>
+        parseContentTypes(setting.content_types, CONTENT_TYPES, DEFAULT_CONTENT_TYPES).includes('stories')
+      );
+
+    if (settings.length === 0 || !this.instagram.hasStorySource()) {
+      return;
+    }
+
+    // Story feeds fail independently of posts, so they get their own breaker
+    const breakerKey = `${account.username}${STORY_BREAKER_KEY_SUFFIX}`;
+    if (this.circuitBreaker.isOpen(breakerKey)) {
+      logger.debug('Story circuit breaker open, skipping stories', { username: account.username });
+      return;
+    }
+
+    let stories;
+    try {
+      stories = await this.instagram.fetchStories(account.username);
+    } catch (error) {
+      const reason = classifyFetchError(error);
+      logger.warn('Story fetch failed', {
+        username: account.username,
+        reason,
+        description: describeFetchFailure(reason),
+        error: error.message
+      });
+      metrics.recordError('story_fetch_error');
+
+      // Rate limits count against the shared circuit, like those of the post fetch
+      if (reason === FETCH_FAILURE_REASONS.RATE_LIMITED) {
+        this.circuitBreaker.recordFailure(RATE_LIMIT_BREAKER_KEY);
+        this.circuitBreaker.releaseProbe(breakerKey);
+      } else {
+        this.circuitBreaker.recordFailure(breakerKey);
+      }
+      return;
+    }
+
+    this.circuitBreaker.recordSuccess(breakerKey);
+
+    try {
+      // Oldest first, capped like posts so a backlog of highlights does not flood channels
+      const unseen = stories
+        .filter(story => !this.db.hasStoryBeenNotified(account.id, story.id))
+        .slice(0, MAX_NEW_POSTS_PER_CHECK)
+        .reverse();
+
+      for (const story of unseen) {
+        logger.info('NEW STORY detected', {
+          username: account.username,
+          storyId: story.id,
+          isHighlight: story.isHighlight,
+          expiresAt: story.expiresAt ? story.expiresAt.toISOString() : 'never'
+        });
+
+        await this.notification.sendNotification(story, account, settings, 'story');
+        this.db.addStoryToHistory(account.id, story);
+      }
+    } catch (error) {
+      logger.error('Error checking stories', {
+        username: account.username,
+        error: error.message
       });
+      metrics.recordError('story_check_error');
     }
+  }
 
+  /**
+   * Determine which fetched posts are new since the last check
+   * Posts newer than last_post_id are candidates. If last_post_id is no longer in
+   * the fetched list (deleted or unpinned), only posts published after it are, or
+   * after the last check if its publish time is unknown.
+   * @param {Object} account - Account object
+   * @param {Array} posts - Fetched posts with real publish dates, newest first
+   * @param {number} limit - Maximum number of posts to return
+   * @returns {Array} New posts in chronological order (oldest first)
+   */
+  findNewPosts(account, posts, limit = MAX_NEW_POSTS_PER_CHECK) {
     // If we don't have a last_post_id, this is the first check
     if (!account.last_post_id) {
       if (this.debugMode) {
         logger.debug('First check for account, not notifying', { username: account.username });
       }
-      return false; // Don't notify on first check (avoid spam from old posts)
+
+      // Everything already on the profile counts as seen, so none of it is
+      // announced later if the latest post disappears
+      for (const post of posts.filter(post => post.id)) {
+        this.db.addPostToHistory(account.id, post.id, post.url, post.publishedAt);
+      }
+      return []; // Don't notify on first check (avoid spam from old posts)
     }
 
-    // Check if the post ID is different
-    if (post.id === account.last_post_id) {
-      if (this.debugMode) {
-        logger.debug('Same post ID, not new', { username: account.username });
+    const lastIndex = posts.findIndex(post => post.id === account.last_post_id);
+    let candidates;
+
+    if (lastIndex !== -1) {
+      candidates = posts.slice(0, lastIndex);
+    } else {
+      const since = this.db.getPostPublishedAt(account.id, account.last_post_id) ||
+        (account.last_checked ? new Date(`${account.last_checked.replace(' ', 'T')}Z`) : null);
+      candidates = since ? posts.filter(post => post.publishedAt > since) : [];
+    }
+
+    const unseen = [];
+    for (const post of candidates) {
+      if (!post.id) continue;
+
+      // Double-check safety against the permanent history
+      if (this.db.hasPostBeenNotified(account.id, post.id)) {
+        if (lastIndex !== -1) {
+          logger.warn('Post already notified (duplicate detection)', {
+            username: account.username,
+            postId: post.id
+          });
+          metrics.recordDuplicateDetected();
+        }
+        continue;
       }
-      return false; // Same post, not new
+
+      unseen.push(post);
     }
 
-    // Post ID is different, so it might be new
-    // Rely on database history and Discord message checks for duplicate prevention
     if (this.debugMode) {
-      logger.debug('Different post ID, treating as new', {
+      logger.debug('New post detection result', {
         username: account.username,
-        newPostId: post.id
+        lastPostId: account.last_post_id,
+        lastPostFound: lastIndex !== -1,
+        candidates: candidates.length,
+        unseen: unseen.length
       });
     }
-    return true;
+
+    // Keep only the newest posts so a restored account does not flood channels
+    if (unseen.length > limit) {
+      logger.warn('New post burst exceeds cap, skipping oldest posts', {
+        username: account.username,
+        found: unseen.length,
+        cap: limit,
+        skipped: unseen.slice(limit).map(post => post.id)
+      });
+    }
+
+    return unseen.slice(0, limit).reverse();
   }
 
   /**
@@ -428,31 +1121,135 @@ class MonitorService {
    */
   getStatus() {
     const accounts = this.db.getAllActiveAccounts();
-    const activeHoursEnabled = this.activeHoursStart !== null && this.activeHoursEnd !== null;
+    const nextWindow = this.getNextActiveWindow({ schedule: this.activeSchedule, timezone: this.activeHoursTimezone });
 
     return {
       isRunning: this.isRunning,
       checkInterval: this.checkInterval,
       accountsMonitored: accounts.length,
       activeHours: {
-        enabled: activeHoursEnabled,
-        start: this.activeHoursStart,
-        end: this.activeHoursEnd,
+        enabled: this.activeSchedule !== null,
+        schedule: this.activeSchedule?.spec ?? null,
         timezone: this.activeHoursTimezone,
         isActive: this.isWithinActiveHours(),
+        nextWindow: nextWindow
+          ? { start: nextWindow.start.toISOString(), end: nextWindow.end.toISOString() }
+          : null,
         currentTime: this.getCurrentTime()
       },
+      outbox: this.db.getOutboxStats(),
       circuitBreakers: this.circuitBreaker.getAllStatuses(),
+      throttle: this.instagram.getThrottleStatus(),
+      rssBridges: this.instagram.getBridgeStatus(),
+      rateLimit: {
+        state: this.circuitBreaker.getState(RATE_LIMIT_BREAKER_KEY),
+        remainingResetTime: this.circuitBreaker.getRemainingResetTime(RATE_LIMIT_BREAKER_KEY)
+      },
+      circuitBreakerEvents: this.getCircuitBreakerEvents(),
       accounts: accounts.map(acc => ({
         username: acc.username,
         lastChecked: acc.last_checked,
         lastPostId: acc.last_post_id,
-        circuitBreakerState: this.circuitBreaker.getState(acc.username)
+        checkTier: this.getCheckTier(acc),
+        tierIntervalMinutes: this.getTierIntervalMinutes(acc),
+        checkIntervalMinutes: this.getCheckIntervalMinutes(acc),
+        postingSchedule: this.getPostingScheduleSummary(acc),
+        nextCheckAt: this.nextCheckAt.has(acc.id) ? new Date(this.nextCheckAt.get(acc.id)).toISOString() : null,
+        circuitBreakerState: this.circuitBreaker.getState(acc.username),
+        fetchError: acc.last_fetch_error
+          ? { reason: acc.last_fetch_error, description: describeFetchFailure(acc.last_fetch_error), since: acc.last_fetch_error_at }
+          : null
       })),
       metrics: metrics.getAllMetrics()
     };
   }
 
+  /**
+   * Load circuit breaker state saved before the last shutdown
+   */
+  restoreCircuitBreakers() {
+    try {
+      const snapshots = this.db.getCircuitBreakers();
+      this.circuitBreaker.restore(snapshots);
+
+      const open = snapshots.filter(snapshot => snapshot.state !== 'closed');
+      if (open.length > 0) {
+        logger.info('Restored circuit breakers', {
+          open: open.map(snapshot => snapshot.key)
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to restore circuit breakers', { error: error.message });
+    }
+  }
+
+  /**
+   * Save a changed circuit breaker; closed circuits without failures are removed
+   * @param {string} username - Instagram username
+   * @param {Object|null} snapshot - Circuit breaker snapshot, or null after a reset
+   */
+  persistCircuitBreaker(username, snapshot) {
+    try {
+      if (!snapshot || (snapshot.state === 'closed' && snapshot.failures === 0)) {
+        this.db.removeCircuitBreaker(username);
+      } else {
+        this.db.saveCircuitBreaker(username, snapshot);
+      }
+    } catch (error) {
+      logger.warn('Failed to save circuit breaker state', { username, error: error.message });
+    }
+  }
+
+  /**
+   * Log a circuit breaker state change and keep it for /breaker and /health
+   * @param {Object} event - Transition event ({ key, from, to, failures, trips, resetTimeoutMs })
+   */
+  handleCircuitBreakerTransition(event) {
+    const { key: username, from, to, failures, trips, resetTimeoutMs } = event;
+
+    if (to === 'open' && username === RATE_LIMIT_BREAKER_KEY) {
+      logger.error('Rate limited repeatedly, pausing checks of all accounts', {
+        trips,
+        retryInMinutes: Math.round(resetTimeoutMs / 60000)
+      });
+      metrics.recordCircuitBreakerTrip(username);
+    } else if (to === 'open') {
+      logger.error(from === 'half-open' ? 'Circuit breaker probe failed, reopening' : 'Circuit breaker tripped for account', {
+        username,
+        failures,
+        trips,
+        retryInMinutes: Math.round(resetTimeoutMs / 60000)
+      });
+      metrics.recordCircuitBreakerTrip(username);
+    } else if (to === 'half-open') {
+      logger.info('Circuit breaker half-open, probing account', { username, trips });
+    } else {
+      logger.info('Circuit breaker closed', { username, from });
+    }
+
+    this.circuitBreakerEvents.unshift({ ...event, at: new Date().toISOString() });
+    this.circuitBreakerEvents.length = Math.min(this.circuitBreakerEvents.length, CIRCUIT_BREAKER_EVENT_HISTORY);
+  }
+
+  /**
+   * Get the most recent circuit breaker state changes, newest first
+   * @returns {Array} Transition events with an `at` ISO timestamp
+   */
+  getCircuitBreakerEvents() {
+    return this.circuitBreakerEvents;
+  }
+
+  /**
+   * Get the circuit breakers of accounts that have failed recently
+   * @returns {Array} Array of { key, state, failures, remainingResetTime }, open circuits first
+   */
+  getCircuitBreakerStatuses() {
+    const order = { open: 0, 'half-open': 1, closed: 2 };
+    return this.circuitBreaker.getAllStatuses()
+      .filter(status => status.state !== 'closed' || status.failures > 0)
+      .sort((a, b) => order[a.state] - order[b.state] || b.failures - a.failures);
+  }
+
   /**
    * Reset circuit breaker for an account
    * @param {string} username - Instagram username
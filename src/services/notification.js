@@ -1,30 +1,84 @@
-import { EmbedBuilder } from 'discord.js';
+import { EmbedBuilder, AttachmentBuilder } from 'discord.js';
+import cron from 'node-cron';
 import { createLogger } from '../utils/logger.js';
-import { retryWithBackoff, extractInstagramPostId } from '../utils/helpers.js';
+import {
+  retryWithBackoff,
+  extractInstagramPostId,
+  getPostContentType,
+  parseContentTypes
+} from '../utils/helpers.js';
+import { matchesCaptionFilters } from '../utils/captionFilter.js';
+import { renderTemplate } from '../utils/template.js';
+import { isDigestDue } from '../utils/digest.js';
+import {
+  DEFAULT_EMBED_COLOR,
+  INSTAGRAM_ICON_URL,
+  resolveEmbedConfig
+} from '../utils/embedConfig.js';
 import metrics from '../utils/metrics.js';
 import {
   DISCORD_RETRY_ATTEMPTS,
   DISCORD_RETRY_BASE_DELAY_MS,
   DISCORD_MESSAGE_HISTORY_LIMIT,
-  DISCORD_EMBED_MAX_LENGTH
+  DISCORD_EMBED_MAX_LENGTH,
+  DISCORD_MESSAGE_MAX_LENGTH,
+  DISCORD_GALLERY_MAX_IMAGES,
+  DISCORD_UPLOAD_LIMIT_BYTES,
+  REMOVED_EMBED_COLOR,
+  CONTENT_TYPES,
+  DEFAULT_CONTENT_TYPES,
+  FEED_MEDIA_TYPES,
+  DELIVERY_MODES,
+  DEFAULT_DELIVERY_MODE,
+  DIGEST_CRON,
+  DEFAULT_DIGEST_HOUR,
+  OUTBOX_CRON,
+  OUTBOX_BATCH_SIZE,
+  OUTBOX_RETRY_BASE_DELAY_MS,
+  OUTBOX_RETRY_MAX_DELAY_MS,
+  OUTBOX_MAX_ATTEMPTS
 } from '../utils/constants.js';
 
 const logger = createLogger('Notification');
 
+const DEFAULT_MESSAGE_TEMPLATE = 'Hey **@{username}** just posted a new shot! Go check it out!';
+const PINNED_MESSAGE_TEMPLATE = '**@{username}** pinned a post to their profile!';
+const STORY_MESSAGE_TEMPLATE = '**@{username}** just shared a new story!';
+const HIGHLIGHT_MESSAGE_TEMPLATE = '**@{username}** added a new story highlight!';
+
+const DIGEST_PERIOD_NAMES = { hourly: 'Hourly digest', daily: 'Daily digest', weekly: 'Weekly digest' };
+const DIGEST_EVENT_PREFIXES = { pinned: '📌 ', story: '📖 ' };
+// Leaves room for the "...and N more" line
+const DIGEST_DESCRIPTION_LIMIT = DISCORD_EMBED_MAX_LENGTH - 50;
+
 /**
  * Notification Service
  * Handles sending Discord notifications for Instagram posts
  */
 class NotificationService {
-  constructor(client, database) {
+  constructor(client, database, media = null) {
     this.client = client;
     this.db = database;
+    this.media = media;
+
+    // Digest delivery: daily and weekly digests go out at this local hour
+    const digestHour = parseInt(process.env.DIGEST_HOUR);
+    this.digestHour = digestHour >= 0 && digestHour <= 23 ? digestHour : DEFAULT_DIGEST_HOUR;
+    this.defaultTimezone = process.env.ACTIVE_HOURS_TIMEZONE || 'Asia/Tokyo';
+    this.digestJob = null;
+    this.isSendingDigests = false;
+
+    // Outbox worker: retries notifications that could not be delivered right away.
+    // Entries being delivered are tracked so the worker never sends one twice.
+    this.outboxJob = null;
+    this.isProcessingOutbox = false;
+    this.deliveringEntries = new Set();
   }
 
   /**
    * Check if a post has already been shared in the channel
    * Uses three-layer protection:
-   * 1. Database history check (permanent record)
+   * 1. Delivery records of this channel (permanent record)
    * 2. Discord message check (last N messages)
    * 3. Timestamp validation (handled in monitor.js)
    * @param {Object} channel - Discord channel
@@ -48,12 +102,13 @@ class NotificationService {
         instagramAccountId
       });
 
-      // Layer 1: Check database history (permanent record across reboots)
-      const inDatabase = this.db.hasPostBeenNotified(instagramAccountId, postId);
-      if (inDatabase) {
-        logger.info('Post found in database history', {
+      // Layer 1: Check this channel's delivery records (permanent record across reboots)
+      const delivered = this.db.hasPostBeenDelivered(instagramAccountId, postId, channel.id);
+      if (delivered) {
+        logger.info('Post found in channel delivery history', {
           postId,
-          instagramAccountId
+          instagramAccountId,
+          channelId: channel.id
         });
         return true;
       }
@@ -87,155 +142,1030 @@ class NotificationService {
 
   /**
    * Send notification about a new Instagram post
+   * Each channel's notification is stored in the outbox first. Channels that cannot be
+   * reached right away are retried by the outbox worker (result has `retrying: true`).
    * @param {Object} post - Post object
    * @param {Object} instagramAccount - Instagram account object
    * @param {Array} notificationSettings - Array of notification settings
+   * @param {string} event - 'post' for a new post, 'pinned' for a newly pinned post, 'story' for a story
+   * @param {Object} options - Send options
+   * @param {boolean} options.checkDuplicates - Skip channels that already received the post (default true)
+   * @param {boolean} options.resend - Send again to channels that already received the post
+   *   (implies checkDuplicates: false)
    * @returns {Promise<Array>} Array of result objects
    */
-  async sendNotification(post, instagramAccount, notificationSettings) {
+  async sendNotification(post, instagramAccount, notificationSettings, event = 'post', { checkDuplicates = true, resend = false } = {}) {
+    if (resend) {
+      checkDuplicates = false;
+    }
+
+    const targetSettings = notificationSettings.filter(setting =>
+      this.matchesContentType(setting, post, event) && this.matchesCaptionRules(setting, post, event)
+    );
+
     logger.info('Sending notifications', {
       username: instagramAccount.username,
       postId: post.id,
-      channels: notificationSettings.length
+      event,
+      channels: targetSettings.length,
+      filtered: notificationSettings.length - targetSettings.length
     });
 
     const results = [];
+    const pending = [];
 
-    for (const setting of notificationSettings) {
-      try {
-        logger.debug('Fetching Discord channel', {
-          channelId: setting.channel_id,
-          username: instagramAccount.username
-        });
-
-        const channel = await retryWithBackoff(
-          async () => {
-            const ch = await this.client.channels.fetch(setting.channel_id);
-            if (!ch) {
-              throw new Error('Channel not found');
-            }
-            return ch;
-          },
-          DISCORD_RETRY_ATTEMPTS,
-          DISCORD_RETRY_BASE_DELAY_MS
-        );
+    for (const setting of targetSettings) {
+      // Digest channels collect posts and get one summary per period
+      if (this.isDigestDelivery(setting)) {
+        try {
+          if (event === 'post' && checkDuplicates && this.db.hasPostBeenDelivered(instagramAccount.id, post.id, setting.channel_id)) {
+            results.push({ success: true, channelId: setting.channel_id, skipped: true, reason: 'duplicate' });
+            metrics.recordNotificationSkipped();
+            continue;
+          }
 
-        // Check if channel is text-based
-        if (!channel.isTextBased()) {
-          logger.error('Channel is not text-based', {
-            channelId: setting.channel_id,
-            channelType: channel.type
-          });
-          results.push({
-            success: false,
+          this.db.queueDigestPost(instagramAccount.id, setting, post, event);
+          this.recordDelivery(instagramAccount, post, setting, event, 'queued');
+          results.push({ success: true, channelId: setting.channel_id, queued: true });
+        } catch (error) {
+          logger.error('Failed to queue post for digest', {
+            username: instagramAccount.username,
             channelId: setting.channel_id,
-            error: 'Not a text channel'
+            error: error.message
           });
-          metrics.recordNotificationFailed();
-          continue;
+          results.push({ success: false, channelId: setting.channel_id, error: error.message });
         }
+        continue;
+      }
 
-        // Check if post was already shared in this channel
-        const alreadyShared = await this.isPostAlreadyShared(
-          channel,
-          post.url,
-          instagramAccount.id
-        );
+      // Every other channel goes through the outbox, so a failed send is retried
+      // by the outbox worker, even after a restart
+      try {
+        // A post pinned again after being unpinned is announced again
+        const entryId = this.db.enqueueNotification(instagramAccount.id, setting, post, event, {
+          checkDuplicates,
+          resend: resend || event === 'pinned'
+        });
 
-        if (alreadyShared) {
-          logger.info('Skipping duplicate post', {
+        if (entryId === null) {
+          logger.info('Notification already in outbox, skipping', {
             username: instagramAccount.username,
             channelId: setting.channel_id,
-            postId: post.id
-          });
-          results.push({
-            success: true,
-            channelId: setting.channel_id,
-            skipped: true,
-            reason: 'duplicate'
+            postId: post.id,
+            event
           });
+          results.push({ success: true, channelId: setting.channel_id, skipped: true, reason: 'duplicate' });
           metrics.recordNotificationSkipped();
           continue;
         }
 
-        // Build custom message
-        const message = this.buildMessage(
-          setting.custom_message,
-          instagramAccount.username,
-          instagramAccount.display_name,
-          post.url,
-          post.title
-        );
+        // The outbox worker is sending this very entry right now
+        if (this.deliveringEntries.has(entryId)) {
+          results.push({ success: true, channelId: setting.channel_id, skipped: true, reason: 'in progress' });
+          continue;
+        }
+
+        this.deliveringEntries.add(entryId);
+        pending.push({ entry: { id: entryId, attempts: 0, check_duplicates: checkDuplicates, event }, setting });
+      } catch (error) {
+        logger.error('Failed to enqueue notification', {
+          username: instagramAccount.username,
+          channelId: setting.channel_id,
+          error: error.message
+        });
+        results.push({ success: false, channelId: setting.channel_id, error: error.message });
+        metrics.recordNotificationFailed();
+      }
+    }
+
+    // Every channel is enqueued before the first send, so a crash part way through
+    // leaves the remaining channels to the outbox worker
+    for (const { entry, setting } of pending) {
+      results.push(await this.deliverOutboxEntry(entry, post, instagramAccount, setting));
+    }
+
+    return results;
+  }
+
+  /**
+   * Announce several posts with one summary message per channel
+   * A channel left with a single matching post gets the regular announcement instead,
+   * and channels in a digest delivery mode queue the posts for their next digest.
+   * Posts are expected to be checked against the history already.
+   * @param {Array} posts - Post objects, oldest first
+   * @param {Object} instagramAccount - Instagram account object
+   * @param {Array} notificationSettings - Array of notification settings
+   * @param {string} title - Summary title, e.g. "3 posts while notifications were paused"
+   * @returns {Promise<Array>} Array of result objects
+   */
+  async sendDigest(posts, instagramAccount, notificationSettings, title) {
+    const results = [];
+
+    for (const setting of notificationSettings) {
+      const matching = posts.filter(post =>
+        this.matchesContentType(setting, post, 'post') && this.matchesCaptionRules(setting, post, 'post')
+      );
 
-        // Add role mention if configured
-        const mentionText = setting.mention_role_id ? `<@&${setting.mention_role_id}> ` : '';
-
-        // Create embed with post content
-        const embed = this.createEmbed(post, instagramAccount);
-
-        // Send notification with retry logic
-        await retryWithBackoff(
-          async () => {
-            await channel.send({
-              content: `${mentionText}${message}\n${post.url}`,
-              embeds: [embed]
-            });
-          },
-          DISCORD_RETRY_ATTEMPTS,
-          DISCORD_RETRY_BASE_DELAY_MS
+      if (matching.length === 0) {
+        continue;
+      }
+
+      if (matching.length === 1 || this.isDigestDelivery(setting)) {
+        for (const post of matching) {
+          results.push(...await this.sendNotification(post, instagramAccount, [setting], 'post', { checkDuplicates: false }));
+        }
+        continue;
+      }
+
+      try {
+        const message = await this.sendToChannel(
+          setting.channel_id,
+          this.buildDigestPayload([{ account: instagramAccount, posts: matching }], [setting], title)
         );
 
-        logger.info('Notification sent successfully', {
+        for (const post of matching) {
+          this.recordDelivery(instagramAccount, post, setting, 'post', 'sent', { messageId: message.id });
+        }
+
+        logger.info('Digest sent successfully', {
           username: instagramAccount.username,
           channelId: setting.channel_id,
-          postId: post.id
+          posts: matching.length,
+          messageId: message.id
         });
 
-        results.push({ success: true, channelId: setting.channel_id });
+        results.push({ success: true, channelId: setting.channel_id, messageId: message.id, posts: matching.length });
         metrics.recordNotificationSent();
 
       } catch (error) {
-        logger.error('Failed to send notification', {
+        logger.error('Failed to send digest, queueing posts individually', {
           username: instagramAccount.username,
           channelId: setting.channel_id,
-          error: error.message,
-          stack: error.stack
+          error: error.message
+        });
+
+        // The outbox announces the posts one by one instead, once the channel is reachable
+        for (const post of matching) {
+          this.db.enqueueNotification(instagramAccount.id, setting, post, 'post', {
+            checkDuplicates: false,
+            delayMs: OUTBOX_RETRY_BASE_DELAY_MS
+          });
+        }
+
+        results.push({ success: false, channelId: setting.channel_id, error: error.message, retrying: true });
+        metrics.recordNotificationFailed();
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Attempt to deliver one outbox entry
+   * The entry must already be claimed in deliveringEntries. Failed attempts are
+   * retried with exponential backoff up to OUTBOX_MAX_ATTEMPTS, except when the
+   * channel no longer exists.
+   * @param {Object} entry - Outbox entry ({ id, attempts, check_duplicates, event })
+   * @param {Object} post - Post object
+   * @param {Object} instagramAccount - Instagram account object
+   * @param {Object} setting - Notification setting
+   * @returns {Promise<Object>} Result object
+   */
+  async deliverOutboxEntry(entry, post, instagramAccount, setting) {
+    const { event } = entry;
+
+    try {
+      logger.debug('Fetching Discord channel', {
+        channelId: setting.channel_id,
+        username: instagramAccount.username
+      });
+
+      const channel = await this.client.channels.fetch(setting.channel_id);
+      if (!channel) {
+        throw new Error('Channel not found');
+      }
+      if (!channel.isTextBased()) {
+        throw new Error('Not a text channel');
+      }
+
+      // Pinned posts are usually old posts that were announced before. Retries always
+      // check, which catches a message that went out right before a crash.
+      const alreadyShared = event === 'post' &&
+        (entry.attempts > 0 || Boolean(entry.check_duplicates)) &&
+        await this.isPostAlreadyShared(channel, post.url, instagramAccount.id);
+
+      if (alreadyShared) {
+        logger.info('Skipping duplicate post', {
+          username: instagramAccount.username,
+          channelId: setting.channel_id,
+          postId: post.id
         });
+        this.db.markOutboxSent(entry.id, null);
+        this.recordDelivery(instagramAccount, post, setting, event, 'skipped');
+        metrics.recordNotificationSkipped();
+        return { success: true, channelId: setting.channel_id, skipped: true, reason: 'duplicate' };
+      }
+
+      // Build message and embed using the setting's layout
+      const payload = await this.attachMedia(
+        this.buildPayload(post, instagramAccount, setting, event),
+        post
+      );
+
+      const message = await channel.send(payload);
+      this.db.markOutboxSent(entry.id, message.id);
+      this.recordDelivery(instagramAccount, post, setting, event, 'sent', { messageId: message.id });
+
+      logger.info('Notification sent successfully', {
+        username: instagramAccount.username,
+        channelId: setting.channel_id,
+        postId: post.id,
+        messageId: message.id,
+        attempt: entry.attempts + 1
+      });
+
+      this.recordSentMessage(message, post, instagramAccount, setting, event);
 
-        results.push({
-          success: false,
+      metrics.recordNotificationSent();
+      return { success: true, channelId: setting.channel_id, messageId: message.id };
+
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+      // 10003 Unknown Channel
+      const channelGone = error.code === 10003 ||
+        error.message === 'Channel not found' ||
+        error.message === 'Not a text channel';
+      const retrying = !channelGone && attempts < OUTBOX_MAX_ATTEMPTS;
+
+      this.recordDelivery(instagramAccount, post, setting, event, retrying ? 'retrying' : 'failed', { error: error.message });
+
+      if (retrying) {
+        const delayMs = Math.min(OUTBOX_RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1), OUTBOX_RETRY_MAX_DELAY_MS);
+        this.db.markOutboxRetry(entry.id, error.message, delayMs);
+
+        logger.warn('Failed to send notification, will retry', {
+          username: instagramAccount.username,
           channelId: setting.channel_id,
+          postId: post.id,
+          attempt: attempts,
+          retryInSeconds: Math.round(delayMs / 1000),
           error: error.message
         });
-        metrics.recordNotificationFailed();
+      } else {
+        this.db.markOutboxFailed(entry.id, error.message);
+
+        logger.error('Failed to send notification, giving up', {
+          username: instagramAccount.username,
+          channelId: setting.channel_id,
+          postId: post.id,
+          attempts,
+          error: error.message,
+          stack: error.stack
+        });
       }
+
+      metrics.recordNotificationFailed();
+      return { success: false, channelId: setting.channel_id, error: error.message, retrying };
+
+    } finally {
+      this.deliveringEntries.delete(entry.id);
     }
+  }
 
-    return results;
+  /**
+   * Start the worker that retries undelivered notifications
+   * Runs once right away to deliver whatever was left over from before a restart
+   */
+  startOutboxWorker() {
+    if (this.outboxJob) {
+      return;
+    }
+
+    const { pending } = this.db.getOutboxStats();
+    if (pending > 0) {
+      logger.info('Resuming undelivered notifications', { pending });
+    }
+
+    this.processOutbox();
+
+    this.outboxJob = cron.schedule(OUTBOX_CRON, () => {
+      this.processOutbox();
+    });
+
+    logger.info('Outbox worker started', { cronExpression: OUTBOX_CRON });
+  }
+
+  /**
+   * Stop the outbox worker
+   */
+  stopOutboxWorker() {
+    if (this.outboxJob) {
+      this.outboxJob.stop();
+      this.outboxJob = null;
+    }
+  }
+
+  /**
+   * Deliver the outbox entries whose next attempt is due
+   * @returns {Promise<number>} Number of entries delivered
+   */
+  async processOutbox() {
+    if (this.isProcessingOutbox) {
+      return 0;
+    }
+
+    this.isProcessingOutbox = true;
+    let delivered = 0;
+
+    try {
+      for (const entry of this.db.getDueOutboxEntries(OUTBOX_BATCH_SIZE)) {
+        if (this.deliveringEntries.has(entry.id)) {
+          continue;
+        }
+
+        // Channels that stopped tracking the account in the meantime are given up
+        const setting = this.db.getNotificationSettingById(entry.notification_setting_id);
+        if (!setting) {
+          this.db.markOutboxFailed(entry.id, 'Notification setting removed');
+          continue;
+        }
+
+        const account = {
+          id: entry.instagram_account_id,
+          username: entry.username,
+          display_name: entry.display_name
+        };
+
+        this.deliveringEntries.add(entry.id);
+        const result = await this.deliverOutboxEntry(entry, entry.post, account, setting);
+        if (result.success) {
+          delivered++;
+        }
+      }
+    } catch (error) {
+      logger.error('Error processing notification outbox', { error: error.message });
+    } finally {
+      this.isProcessingOutbox = false;
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Check whether a notification setting collects posts into digests
+   * @param {Object} setting - Notification setting
+   * @returns {boolean} True for hourly, daily and weekly delivery
+   */
+  isDigestDelivery(setting) {
+    return DELIVERY_MODES.includes(setting.delivery_mode) && setting.delivery_mode !== DEFAULT_DELIVERY_MODE;
+  }
+
+  /**
+   * Start the job that sends scheduled digests
+   */
+  startDigestSchedule() {
+    if (this.digestJob) {
+      return;
+    }
+
+    this.digestJob = cron.schedule(DIGEST_CRON, () => {
+      this.sendDueDigests();
+    });
+
+    logger.info('Digest schedule started', { cronExpression: DIGEST_CRON, digestHour: this.digestHour });
+  }
+
+  /**
+   * Stop the digest job
+   */
+  stopDigestSchedule() {
+    if (this.digestJob) {
+      this.digestJob.stop();
+      this.digestJob = null;
+    }
+  }
+
+  /**
+   * Send the digests of every channel whose delivery period has ended
+   * Each channel gets one message listing the queued posts of all its accounts.
+   * Failed digests stay queued and are retried on the next run.
+   * @param {Date} now - Current time (defaults to now)
+   * @returns {Promise<number>} Number of digests sent
+   */
+  async sendDueDigests(now = new Date()) {
+    if (this.isSendingDigests) {
+      return 0;
+    }
+
+    this.isSendingDigests = true;
+    let sent = 0;
+
+    try {
+      // Group by channel and mode, since one channel can mix delivery modes per account
+      const groups = new Map();
+      for (const entry of this.db.getDigestQueue()) {
+        const key = `${entry.channel_id}:${entry.delivery_mode}`;
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(entry);
+      }
+
+      for (const entries of groups.values()) {
+        const { guild_id: guildId, channel_id: channelId, delivery_mode: mode } = entries[0];
+        const timezone = this.db.getGuildSettings(guildId)?.timezone || this.defaultTimezone;
+        const oldestQueuedAt = new Date(`${entries[0].queued_at.replace(' ', 'T')}Z`);
+
+        if (!isDigestDue(mode, { timezone, digestHour: this.digestHour, oldestQueuedAt, now })) {
+          continue;
+        }
+
+        try {
+          const message = await this.sendToChannel(channelId, this.buildChannelDigestPayload(entries, mode));
+          this.db.removeDigestEntries(entries.map(entry => entry.id));
+          sent++;
+
+          for (const entry of entries) {
+            this.recordDelivery(
+              { id: entry.instagram_account_id, username: entry.username },
+              entry.post,
+              { id: entry.notification_setting_id, guild_id: guildId, channel_id: channelId },
+              entry.event,
+              'sent',
+              { messageId: message.id }
+            );
+          }
+
+          logger.info('Scheduled digest sent', { channelId, mode, posts: entries.length, messageId: message.id });
+          metrics.recordNotificationSent();
+        } catch (error) {
+          logger.error('Failed to send scheduled digest', { channelId, mode, error: error.message });
+          metrics.recordNotificationFailed();
+        }
+      }
+    } catch (error) {
+      logger.error('Error sending scheduled digests', { error: error.message });
+    } finally {
+      this.isSendingDigests = false;
+    }
+
+    return sent;
+  }
+
+  /**
+   * Build the payload of a scheduled channel digest from queue entries
+   * @param {Array} entries - Digest queue entries of one channel
+   * @param {string} mode - Delivery mode
+   * @returns {Object} Message payload ({ content, embeds })
+   */
+  buildChannelDigestPayload(entries, mode) {
+    const sections = new Map();
+    const settings = new Map();
+
+    for (const entry of entries) {
+      if (!sections.has(entry.instagram_account_id)) {
+        sections.set(entry.instagram_account_id, {
+          account: { id: entry.instagram_account_id, username: entry.username, display_name: entry.display_name },
+          posts: []
+        });
+      }
+      sections.get(entry.instagram_account_id).posts.push({ ...entry.post, event: entry.event });
+      settings.set(entry.notification_setting_id, { ...entry, id: entry.notification_setting_id });
+    }
+
+    const period = DIGEST_PERIOD_NAMES[mode] || 'Digest';
+    const title = `${period}: ${entries.length} new ${entries.length === 1 ? 'post' : 'posts'}`;
+    return this.buildDigestPayload([...sections.values()], [...settings.values()], title);
+  }
+
+  /**
+   * Fetch a text channel and send a payload to it, retrying on failure
+   * @param {string} channelId - Discord channel ID
+   * @param {Object} payload - Message payload
+   * @returns {Promise<Message>} Sent message
+   */
+  async sendToChannel(channelId, payload) {
+    const channel = await retryWithBackoff(
+      async () => {
+        const ch = await this.client.channels.fetch(channelId);
+        if (!ch) {
+          throw new Error('Channel not found');
+        }
+        return ch;
+      },
+      DISCORD_RETRY_ATTEMPTS,
+      DISCORD_RETRY_BASE_DELAY_MS
+    );
+
+    if (!channel.isTextBased()) {
+      throw new Error('Not a text channel');
+    }
+
+    return await retryWithBackoff(
+      async () => channel.send(payload),
+      DISCORD_RETRY_ATTEMPTS,
+      DISCORD_RETRY_BASE_DELAY_MS
+    );
+  }
+
+  /**
+   * Build the message payload summarizing several posts
+   * @param {Array} sections - Posts per account: [{ account, posts }], posts oldest first
+   * @param {Array} settings - Notification settings the digest is sent for (mentions and layout)
+   * @param {string} title - Summary title
+   * @returns {Object} Message payload ({ content, embeds })
+   */
+  buildDigestPayload(sections, settings, title) {
+    const mentions = new Set();
+    for (const setting of settings) {
+      const guildSettings = setting.guild_id ? this.db.getGuildSettings(setting.guild_id) : null;
+      const mentionRoleId = setting.mention_role_id || guildSettings?.default_mention_role_id;
+      if (mentionRoleId) {
+        mentions.add(`<@&${mentionRoleId}>`);
+      }
+    }
+
+    const mentionText = mentions.size > 0 ? `${[...mentions].join(' ')} ` : '';
+    const heading = sections.length === 1
+      ? `${mentionText}**@${sections[0].account.username}**: ${title}`
+      : `${mentionText}**${title}**`;
+
+    const embedConfig = resolveEmbedConfig(settings[0]);
+    const allPosts = sections.flatMap(section => section.posts);
+
+    // Plain link mode lists the bare URLs so Discord can unfurl them
+    if (embedConfig.mode === 'link') {
+      const urls = allPosts.map(post => post.url).join('\n');
+      return { content: `${heading}\n${urls}`.substring(0, DISCORD_MESSAGE_MAX_LENGTH), embeds: [] };
+    }
+
+    let description = '';
+    let listed = 0;
+    for (const { account, posts } of sections) {
+      const header = sections.length > 1 ? `**@${account.username}**\n` : '';
+      const lines = posts.map(post => this.formatDigestLine(post));
+
+      if (description.length + header.length + lines[0].length > DIGEST_DESCRIPTION_LIMIT) break;
+      description += header;
+
+      for (const line of lines) {
+        if (description.length + line.length > DIGEST_DESCRIPTION_LIMIT) break;
+        description += line;
+        listed++;
+      }
+    }
+
+    if (listed < allPosts.length) {
+      description += `...and ${allPosts.length - listed} more`;
+    }
+
+    const embed = new EmbedBuilder()
+      .setColor(embedConfig.color || DEFAULT_EMBED_COLOR)
+      .setTitle(title)
+      .setDescription(description.trim())
+      .setFooter({
+        text: embedConfig.footer,
+        iconURL: INSTAGRAM_ICON_URL
+      })
+      .setTimestamp();
+
+    if (sections.length === 1) {
+      const { account } = sections[0];
+      embed.setURL(`https://www.instagram.com/${account.username}/`);
+
+      if (embedConfig.authorStyle !== 'none') {
+        embed.setAuthor({
+          name: embedConfig.authorStyle === 'username'
+            ? `@${account.username}`
+            : `${account.display_name || account.username} (@${account.username})`,
+          iconURL: INSTAGRAM_ICON_URL,
+          url: `https://www.instagram.com/${account.username}/`
+        });
+      }
+    }
+
+    // Show the newest post's image
+    const latestWithImage = [...allPosts].reverse().find(post => post.thumbnail);
+    if (latestWithImage && embedConfig.showImage) {
+      embed.setImage(latestWithImage.thumbnail);
+    }
+
+    return { content: heading, embeds: [embed] };
+  }
+
+  /**
+   * Format one digest line: linked caption excerpt and relative publish time
+   * @param {Object} post - Post object (event set for pinned posts and stories)
+   * @returns {string} Markdown line ending in a newline
+   */
+  formatDigestLine(post) {
+    // Brackets in captions would break the markdown link
+    const caption = (post.description || '').split('\n')[0].replace(/[[\]]/g, '').trim();
+    const label = caption.length > 80 ? `${caption.substring(0, 77)}...` : caption || 'View post';
+    const prefix = DIGEST_EVENT_PREFIXES[post.event] || '';
+    const timestamp = post.publishedAt && !isNaN(post.publishedAt.getTime())
+      ? ` - <t:${Math.floor(post.publishedAt.getTime() / 1000)}:R>`
+      : '';
+    return `• ${prefix}[${label}](${post.url})${timestamp}\n`;
+  }
+
+  /**
+   * Remember which message announced a post so it can be edited later
+   * Stories expire on their own, so only posts and pinned posts are recorded
+   * @param {Message} message - Sent Discord message
+   * @param {Object} post - Post object
+   * @param {Object} instagramAccount - Instagram account object
+   * @param {Object} setting - Notification setting
+   * @param {string} event - Notification event
+   */
+  recordSentMessage(message, post, instagramAccount, setting, event) {
+    if (event === 'story') {
+      return;
+    }
+
+    try {
+      this.db.addSentMessage({
+        instagramAccountId: instagramAccount.id,
+        notificationSettingId: setting.id,
+        post,
+        event,
+        guildId: setting.guild_id,
+        channelId: setting.channel_id,
+        messageId: message.id
+      });
+    } catch (error) {
+      // The announcement went out; losing the record only disables later edits
+      logger.warn('Failed to record sent message', {
+        postId: post.id,
+        messageId: message.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record the outcome of delivering a post to a channel
+   * Only new posts are tracked; pinned posts and stories have their own history
+   * @param {Object} instagramAccount - Instagram account object
+   * @param {Object} post - Post object
+   * @param {Object} setting - Notification setting
+   * @param {string} event - Notification event
+   * @param {string} status - Delivery status (see DatabaseService.recordPostDelivery)
+   * @param {Object} details - { error, messageId }
+   */
+  recordDelivery(instagramAccount, post, setting, event, status, details = {}) {
+    if (event !== 'post') {
+      return;
+    }
+
+    try {
+      this.db.recordPostDelivery(instagramAccount.id, post.id, setting, status, details);
+    } catch (error) {
+      // Losing the record only weakens the duplicate check for this channel
+      logger.warn('Failed to record post delivery', {
+        postId: post.id,
+        channelId: setting.channel_id,
+        status,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Fetch the Discord message recorded for an announcement
+   * @param {Object} record - Sent message row
+   * @returns {Promise<Message|null>} Message, or null if the channel or message is gone
+   */
+  async fetchSentMessage(record) {
+    try {
+      const channel = await this.client.channels.fetch(record.channel_id);
+      if (!channel?.isTextBased()) {
+        return null;
+      }
+      return await channel.messages.fetch(record.message_id);
+    } catch (error) {
+      // 10003 Unknown Channel, 10008 Unknown Message
+      if (error.code === 10003 || error.code === 10008) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Re-render an announcement after the post's caption changed
+   * Uploaded images are kept as they are, since the CDN URLs they replaced may have expired
+   * @param {Object} record - Sent message row
+   * @param {Object} post - Current post object
+   * @param {Object} instagramAccount - Instagram account object
+   * @param {Object} setting - Notification setting
+   * @returns {Promise<boolean>} False if the message no longer exists
+   */
+  async editNotification(record, post, instagramAccount, setting) {
+    const message = await this.fetchSentMessage(record);
+    if (!message) {
+      return false;
+    }
+
+    const payload = this.buildPayload(post, instagramAccount, setting, record.event);
+
+    if (message.attachments.size > 0) {
+      payload.embeds.forEach((embed, index) => {
+        const uploadedImage = message.embeds[index]?.image?.url;
+        if (uploadedImage) {
+          embed.setImage(uploadedImage);
+        }
+      });
+    }
+
+    await retryWithBackoff(
+      async () => message.edit({ content: payload.content, embeds: payload.embeds }),
+      DISCORD_RETRY_ATTEMPTS,
+      DISCORD_RETRY_BASE_DELAY_MS
+    );
+
+    logger.info('Announcement updated after caption change', {
+      username: instagramAccount.username,
+      postId: post.id,
+      channelId: record.channel_id,
+      messageId: record.message_id
+    });
+    return true;
+  }
+
+  /**
+   * Delete an announcement or mark it "[removed]" after its post disappeared
+   * @param {Object} record - Sent message row
+   * @param {string} action - 'mark' or 'delete'
+   * @returns {Promise<boolean>} False if the message no longer exists
+   */
+  async handleRemovedPost(record, action) {
+    const message = await this.fetchSentMessage(record);
+    if (!message) {
+      return false;
+    }
+
+    if (action === 'delete') {
+      await retryWithBackoff(
+        async () => message.delete(),
+        DISCORD_RETRY_ATTEMPTS,
+        DISCORD_RETRY_BASE_DELAY_MS
+      );
+    } else {
+      const embeds = message.embeds.map((embed, index) => {
+        const marked = EmbedBuilder.from(embed).setColor(REMOVED_EMBED_COLOR);
+        return index === 0 ? marked.setTitle(`[removed] ${embed.title || ''}`.trim()) : marked;
+      });
+      const content = `**[removed]** ${message.content}`.trim().substring(0, DISCORD_MESSAGE_MAX_LENGTH);
+
+      await retryWithBackoff(
+        async () => message.edit({ content, embeds, allowedMentions: { parse: [] } }),
+        DISCORD_RETRY_ATTEMPTS,
+        DISCORD_RETRY_BASE_DELAY_MS
+      );
+    }
+
+    logger.info('Announcement for removed post handled', {
+      postId: record.post_id,
+      channelId: record.channel_id,
+      messageId: record.message_id,
+      action
+    });
+    return true;
+  }
+
+  /**
+   * Build the Discord message payload for a post and notification setting
+   * @param {Object} post - Post or story object
+   * @param {Object} instagramAccount - Instagram account object
+   * @param {Object} setting - Notification setting
+   * @param {string} event - Notification event
+   * @returns {Object} Message payload ({ content, embeds })
+   */
+  buildPayload(post, instagramAccount, setting, event = 'post') {
+    // Channel settings take precedence over the guild's /config defaults
+    const guildSettings = setting.guild_id ? this.db.getGuildSettings(setting.guild_id) : null;
+
+    // Build custom message
+    const message = this.buildMessage(
+      this.getEventTemplate(event, post) || setting.custom_message || guildSettings?.default_template,
+      post,
+      instagramAccount,
+      event
+    );
+
+    // Add role mention if configured
+    const mentionRoleId = setting.mention_role_id || guildSettings?.default_mention_role_id;
+    const mentionText = mentionRoleId ? `<@&${mentionRoleId}> ` : '';
+    const content = this.truncateContent(`${mentionText}${message}`, post.url);
+
+    const embedConfig = resolveEmbedConfig(setting);
+
+    // Plain link mode lets Discord unfurl the post URL itself
+    if (embedConfig.mode === 'link') {
+      return { content, embeds: [] };
+    }
+
+    // Create embed with post content
+    let embed;
+    if (event === 'pinned') {
+      embed = this.createPinnedEmbed(post, instagramAccount, embedConfig);
+    } else if (event === 'story') {
+      embed = this.createStoryEmbed(post, instagramAccount, embedConfig);
+    } else {
+      embed = this.createEmbed(post, instagramAccount, embedConfig);
+    }
+
+    return {
+      content,
+      embeds: [embed, ...this.createGalleryEmbeds(post, embed, embedConfig)]
+    };
+  }
+
+  /**
+   * Replace hotlinked embed images with uploaded attachments
+   * Instagram CDN URLs expire, so announcements lose their images after a day or two
+   * unless the files are uploaded. Falls back to the original URL when a download fails.
+   * @param {Object} payload - Message payload from buildPayload
+   * @param {Object} post - Post object
+   * @returns {Promise<Object>} Payload with files attached
+   */
+  async attachMedia(payload, post) {
+    if (!this.media?.enabled || payload.embeds.length === 0) {
+      return payload;
+    }
+
+    const files = [];
+    let totalBytes = 0;
+
+    const attach = async (url) => {
+      const file = await this.media.download(url);
+      if (!file || totalBytes + file.size > DISCORD_UPLOAD_LIMIT_BYTES) {
+        return null;
+      }
+      totalBytes += file.size;
+      files.push(new AttachmentBuilder(file.path, { name: file.name }));
+      return file;
+    };
+
+    for (const embed of payload.embeds) {
+      const imageUrl = embed.data.image?.url;
+      if (!imageUrl) continue;
+
+      const file = await attach(imageUrl);
+      if (file) {
+        embed.setImage(`attachment://${file.name}`);
+      }
+    }
+
+    // Short videos are uploaded alongside the embed so they play inline
+    const videoUrl = post.media?.length === 1 ? post.media[0].videoUrl : null;
+    if (videoUrl) {
+      await attach(videoUrl);
+    }
+
+    logger.debug('Attached media files', {
+      postId: post.id,
+      files: files.length,
+      totalBytes
+    });
+
+    return { ...payload, files };
+  }
+
+  /**
+   * Turn a carousel into a Discord image gallery
+   * Discord renders embeds that share a URL as one embed with up to four images,
+   * so the main embed gets the first image and each extra embed carries one more.
+   * @param {Object} post - Post object
+   * @param {EmbedBuilder} mainEmbed - Main embed (modified in place)
+   * @param {Object} embedConfig - Embed layout (see resolveEmbedConfig)
+   * @returns {EmbedBuilder[]} Extra gallery embeds
+   */
+  createGalleryEmbeds(post, mainEmbed, embedConfig) {
+    const media = post.media || [];
+
+    if (!embedConfig.showImage || media.length < 2) {
+      return [];
+    }
+
+    mainEmbed.setURL(post.url).setImage(media[0].url);
+
+    const extraEmbeds = media
+      .slice(1, DISCORD_GALLERY_MAX_IMAGES)
+      .map(item => new EmbedBuilder().setURL(post.url).setImage(item.url));
+
+    const remaining = media.length - DISCORD_GALLERY_MAX_IMAGES;
+    if (remaining > 0) {
+      mainEmbed.setFooter({
+        text: `${embedConfig.footer} • ${remaining} more image${remaining === 1 ? '' : 's'}`,
+        iconURL: INSTAGRAM_ICON_URL
+      });
+    }
+
+    logger.debug('Created carousel gallery', {
+      postId: post.id,
+      mediaCount: media.length,
+      shown: extraEmbeds.length + 1
+    });
+
+    return extraEmbeds;
+  }
+
+  /**
+   * Check whether a notification setting wants this kind of content
+   * Feed posts are additionally filtered by format (image, carousel, video)
+   * @param {Object} setting - Notification setting
+   * @param {Object} post - Post or story object
+   * @param {string} event - Notification event
+   * @returns {boolean} True if the setting should receive the notification
+   */
+  matchesContentType(setting, post, event) {
+    const contentTypes = parseContentTypes(setting.content_types, CONTENT_TYPES, DEFAULT_CONTENT_TYPES);
+    const contentType = event === 'story' ? 'stories' : getPostContentType(post);
+
+    if (!contentTypes.includes(contentType)) {
+      return false;
+    }
+
+    if (contentType === 'feed' && setting.media_types) {
+      const mediaTypes = parseContentTypes(setting.media_types, FEED_MEDIA_TYPES, FEED_MEDIA_TYPES.join(','));
+      return mediaTypes.includes(post.mediaType || 'image');
+    }
+
+    return true;
+  }
+
+  /**
+   * Check a post caption against the setting's include/exclude filter rules
+   * Stories have no caption, so they are never filtered
+   * @param {Object} setting - Notification setting
+   * @param {Object} post - Post or story object
+   * @param {string} event - Notification event
+   * @returns {boolean} True if the caption passes the setting's rules
+   */
+  matchesCaptionRules(setting, post, event) {
+    if (event === 'story' || !setting.id) {
+      return true;
+    }
+
+    const rules = this.db.getNotificationFilters(setting.id);
+    const matches = matchesCaptionFilters(post.description, rules);
+
+    if (!matches) {
+      logger.debug('Post filtered out by caption rules', {
+        postId: post.id,
+        channelId: setting.channel_id,
+        rules: rules.length
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Get the fixed message template for non-post events
+   * @param {string} event - Notification event
+   * @param {Object} post - Post or story object
+   * @returns {string|null} Template, or null to use the setting's custom message
+   */
+  getEventTemplate(event, post) {
+    if (event === 'pinned') {
+      return PINNED_MESSAGE_TEMPLATE;
+    }
+    if (event === 'story') {
+      return post.isHighlight ? HIGHLIGHT_MESSAGE_TEMPLATE : STORY_MESSAGE_TEMPLATE;
+    }
+    return null;
   }
 
   /**
    * Build notification message with template variables
+   * Falls back to the default template if a stored template no longer parses
    * @param {string} template - Message template
-   * @param {string} username - Instagram username
-   * @param {string} displayName - Display name
-   * @param {string} url - Post URL
-   * @param {string} title - Post title
+   * @param {Object} post - Post object
+   * @param {Object} instagramAccount - Instagram account object
+   * @param {string} event - Notification event
    * @returns {string} Formatted message
    */
-  buildMessage(template, username, displayName, url, title) {
+  buildMessage(template, post, instagramAccount, event = 'post') {
     if (!template) {
-      template = 'Hey **@{username}** just posted a new shot! Go check it out!';
+      template = DEFAULT_MESSAGE_TEMPLATE;
     }
 
-    const message = template
-      .replace(/{username}/g, username)
-      .replace(/{display_name}/g, displayName || username)
-      .replace(/{url}/g, url)
-      .replace(/{title}/g, title || '');
+    let message;
+    try {
+      message = renderTemplate(template, post, instagramAccount, event);
+    } catch (error) {
+      logger.warn('Invalid message template, using default', {
+        username: instagramAccount.username,
+        error: error.message
+      });
+      message = renderTemplate(DEFAULT_MESSAGE_TEMPLATE, post, instagramAccount, event);
+    }
 
     logger.debug('Built notification message', {
-      username,
+      username: instagramAccount.username,
       templateLength: template.length,
       messageLength: message.length
     });
@@ -243,28 +1173,48 @@ class NotificationService {
     return message;
   }
 
+  /**
+   * Join message and post URL, truncating the message to Discord's content limit
+   * @param {string} message - Message text (including any mention)
+   * @param {string} url - Post URL appended on its own line
+   * @returns {string} Message content
+   */
+  truncateContent(message, url) {
+    const maxLength = DISCORD_MESSAGE_MAX_LENGTH - url.length - 1;
+    const text = message.length > maxLength
+      ? message.substring(0, maxLength - 3) + '...'
+      : message;
+    return `${text}\n${url}`;
+  }
+
   /**
    * Create Discord embed for Instagram post
    * @param {Object} post - Post object
    * @param {Object} instagramAccount - Instagram account object
+   * @param {Object} embedConfig - Embed layout (see resolveEmbedConfig)
    * @returns {EmbedBuilder} Discord embed
    */
-  createEmbed(post, instagramAccount) {
+  createEmbed(post, instagramAccount, embedConfig = resolveEmbedConfig()) {
     const embed = new EmbedBuilder()
-      .setColor('#E1306C') // Instagram brand color
-      .setAuthor({
-        name: `${instagramAccount.display_name || instagramAccount.username} (@${instagramAccount.username})`,
-        iconURL: 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/a5/Instagram_icon.png/64px-Instagram_icon.png',
-        url: `https://www.instagram.com/${instagramAccount.username}/`
-      })
+      .setColor(embedConfig.color || DEFAULT_EMBED_COLOR)
       .setFooter({
-        text: 'Instagram',
-        iconURL: 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/a5/Instagram_icon.png/64px-Instagram_icon.png'
+        text: embedConfig.footer,
+        iconURL: INSTAGRAM_ICON_URL
       })
       .setTimestamp(post.publishedAt);
 
+    if (embedConfig.authorStyle !== 'none') {
+      embed.setAuthor({
+        name: embedConfig.authorStyle === 'username'
+          ? `@${instagramAccount.username}`
+          : `${instagramAccount.display_name || instagramAccount.username} (@${instagramAccount.username})`,
+        iconURL: INSTAGRAM_ICON_URL,
+        url: `https://www.instagram.com/${instagramAccount.username}/`
+      });
+    }
+
     // Add description if available (truncate to Discord limit)
-    if (post.description) {
+    if (post.description && embedConfig.showCaption) {
       const description = post.description.length > DISCORD_EMBED_MAX_LENGTH
         ? post.description.substring(0, DISCORD_EMBED_MAX_LENGTH - 3) + '...'
         : post.description;
@@ -272,7 +1222,7 @@ class NotificationService {
     }
 
     // Add image if available
-    if (post.thumbnail) {
+    if (post.thumbnail && embedConfig.showImage) {
       embed.setImage(post.thumbnail);
     }
 
@@ -286,6 +1236,44 @@ class NotificationService {
     return embed;
   }
 
+  /**
+   * Create Discord embed for a newly pinned Instagram post
+   * @param {Object} post - Post object
+   * @param {Object} instagramAccount - Instagram account object
+   * @param {Object} embedConfig - Embed layout (see resolveEmbedConfig)
+   * @returns {EmbedBuilder} Discord embed
+   */
+  createPinnedEmbed(post, instagramAccount, embedConfig = resolveEmbedConfig()) {
+    return this.createEmbed(post, instagramAccount, embedConfig)
+      .setColor(embedConfig.color || '#FCAF45')
+      .setTitle('📌 Pinned post')
+      .setURL(post.url);
+  }
+
+  /**
+   * Create Discord embed for an Instagram story or highlight
+   * @param {Object} story - Story object
+   * @param {Object} instagramAccount - Instagram account object
+   * @param {Object} embedConfig - Embed layout (see resolveEmbedConfig)
+   * @returns {EmbedBuilder} Discord embed
+   */
+  createStoryEmbed(story, instagramAccount, embedConfig = resolveEmbedConfig()) {
+    const embed = this.createEmbed(story, instagramAccount, embedConfig)
+      .setColor(embedConfig.color || '#833AB4')
+      .setTitle(story.isHighlight ? '⭐ New highlight' : '📖 New story')
+      .setURL(story.url);
+
+    if (story.expiresAt) {
+      embed.addFields({
+        name: 'Expires',
+        value: `<t:${Math.floor(story.expiresAt.getTime() / 1000)}:R>`,
+        inline: true
+      });
+    }
+
+    return embed;
+  }
+
   /**
    * Send a test notification
    * @param {string} channelId - Discord channel ID
@@ -314,10 +1302,10 @@ class NotificationService {
       }
 
       const embed = new EmbedBuilder()
-        .setColor('#E1306C')
+        .setColor(DEFAULT_EMBED_COLOR)
         .setAuthor({
           name: `@${username}`,
-          iconURL: 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/a5/Instagram_icon.png/64px-Instagram_icon.png',
+          iconURL: INSTAGRAM_ICON_URL,
           url: `https://www.instagram.com/${username}/`
         })
         .setTitle('Test Notification')
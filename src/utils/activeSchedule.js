@@ -0,0 +1,312 @@
+/**
+ * Active schedules
+ * A schedule is a spec string of weekday rules with one or more time windows,
+ * plus optional blackout dates, e.g.
+ *
+ *   mon-fri 07:30-09:00,18:00-23:30; sat,sun 10:00-02:00; !2026-12-24..2026-12-26
+ *
+ * - Rules are separated by ";". A rule without days applies every day.
+ * - Days are names (sun, mon, ...), ranges (mon-fri, fri-mon) or "daily".
+ * - Windows ending before they start run past midnight and belong to their start day.
+ * - "!YYYY-MM-DD" or "!YYYY-MM-DD..YYYY-MM-DD" blacks out every window starting on those dates.
+ * - A spec with only blackout dates is active all day on every other date.
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const MINUTES_PER_DAY = 1440;
+const MAX_SEARCH_DAYS = 366;
+
+const TIME_PATTERN = /^([01]?\d|2[0-4]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Intl.DateTimeFormat is expensive to construct, so formatters are reused per timezone
+const dateTimeFormatters = new Map();
+
+/**
+ * Parse a "HH:MM" time into minutes after midnight
+ * @param {string} value - Time string
+ * @returns {number} Minutes after midnight (0-1440)
+ * @throws {Error} If the time is malformed
+ */
+function parseTime(value) {
+  const match = value.match(TIME_PATTERN);
+  const minutes = match ? parseInt(match[1]) * 60 + parseInt(match[2]) : NaN;
+
+  if (!match || minutes > MINUTES_PER_DAY) {
+    throw new Error(`Invalid time "${value}". Use 24-hour HH:MM, e.g. 07:30`);
+  }
+  return minutes;
+}
+
+/**
+ * Parse a day list such as "mon-fri", "sat,sun" or "daily"
+ * @param {string} value - Day list
+ * @returns {number[]} Weekday numbers (0 = Sunday)
+ * @throws {Error} If a day is unknown
+ */
+function parseDays(value) {
+  if (value === 'daily') {
+    return ALL_DAYS;
+  }
+
+  const days = new Set();
+  for (const part of value.split(',')) {
+    const [from, to] = part.split('-');
+    const start = DAY_NAMES.indexOf(from);
+    const end = to === undefined ? start : DAY_NAMES.indexOf(to);
+
+    if (start === -1 || end === -1) {
+      throw new Error(`Unknown day "${part}". Use ${DAY_NAMES.join(', ')}, ranges like mon-fri, or daily`);
+    }
+
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  }
+  return [...days].sort();
+}
+
+/**
+ * Parse a blackout token such as "2026-12-25" or "2026-12-24..2026-12-26"
+ * @param {string} value - Blackout token without the leading "!"
+ * @returns {Object} { from, to } as YYYY-MM-DD strings
+ * @throws {Error} If a date is malformed
+ */
+function parseBlackout(value) {
+  const [from, to = from] = value.split('..');
+
+  for (const date of [from, to]) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    if (!DATE_PATTERN.test(date) || isNaN(parsed.getTime()) || !parsed.toISOString().startsWith(date)) {
+      throw new Error(`Invalid blackout date "${date}". Use YYYY-MM-DD`);
+    }
+  }
+  if (to < from) {
+    throw new Error(`Blackout range "${value}" ends before it starts`);
+  }
+  return { from, to };
+}
+
+/**
+ * Parse a schedule spec
+ * @param {string} spec - Schedule spec
+ * @returns {Object} { spec, rules: [{ days, windows: [{ start, end }] }], blackouts: [{ from, to }] }
+ * @throws {Error} With a human-readable reason if the spec is malformed
+ */
+export function parseSchedule(spec) {
+  const rules = [];
+  const blackouts = [];
+
+  for (const rawRule of spec.toLowerCase().split(';')) {
+    const rule = rawRule.trim();
+    if (!rule) continue;
+
+    if (rule.startsWith('!')) {
+      blackouts.push(parseBlackout(rule.slice(1).trim()));
+      continue;
+    }
+
+    const tokens = rule.split(/\s+/);
+    if (tokens.length > 2) {
+      throw new Error(`Invalid rule "${rule}". Use "[days] HH:MM-HH:MM[,HH:MM-HH:MM]"`);
+    }
+
+    const days = tokens.length === 2 ? parseDays(tokens[0]) : ALL_DAYS;
+    const windows = tokens[tokens.length - 1].split(',').map(range => {
+      const [from, to] = range.split('-');
+      if (to === undefined) {
+        throw new Error(`Invalid window "${range}". Use HH:MM-HH:MM`);
+      }
+
+      const start = parseTime(from);
+      const end = parseTime(to);
+      if (start === end || start === MINUTES_PER_DAY) {
+        throw new Error(`Window "${range}" must start and end at different times`);
+      }
+      return { start, end: end > start ? end : end + MINUTES_PER_DAY };
+    });
+
+    rules.push({ days, windows });
+  }
+
+  if (rules.length === 0) {
+    rules.push({ days: ALL_DAYS, windows: [{ start: 0, end: MINUTES_PER_DAY }] });
+  }
+
+  return { spec: spec.trim(), rules, blackouts };
+}
+
+/**
+ * Validate a schedule spec
+ * @param {string} spec - Schedule spec
+ * @throws {Error} With a human-readable reason if the spec is malformed
+ */
+export function validateSchedule(spec) {
+  parseSchedule(spec);
+}
+
+/**
+ * Build a schedule equivalent to the legacy ACTIVE_HOURS_START/END pair
+ * @param {number} startHour - Start hour (0-23)
+ * @param {number} endHour - End hour (0-23)
+ * @returns {string} Schedule spec
+ */
+export function hoursToScheduleSpec(startHour, endHour) {
+  const pad = hour => `${String(hour).padStart(2, '0')}:00`;
+  return `${pad(startHour)}-${pad(endHour)}`;
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {number} instant - Epoch milliseconds
+ * @returns {Object} { year, month, day, hour, minute }
+ */
+function getZonedParts(timezone, instant) {
+  let formatter = dateTimeFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+    dateTimeFormatters.set(timezone, formatter);
+  }
+
+  const parts = {};
+  for (const part of formatter.formatToParts(new Date(instant))) {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * @param {string} timezone - IANA timezone
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} minutes - Minutes after midnight (may exceed one day)
+ * @returns {number} Epoch milliseconds
+ */
+function zonedTimeToInstant(timezone, year, month, day, minutes) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  const offsetAt = instant => {
+    const parts = getZonedParts(timezone, instant);
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return local - Math.floor(instant / 60000) * 60000;
+  };
+
+  // Re-check the offset at the result so DST transitions resolve correctly
+  const firstGuess = wallClock - offsetAt(wallClock);
+  return wallClock - offsetAt(firstGuess);
+}
+
+/**
+ * List the schedule's windows starting between two local days, merged where they overlap
+ * @param {Object} schedule - Parsed schedule
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Reference time
+ * @param {number} firstDay - First day offset from the reference day (e.g. -1 for yesterday)
+ * @param {number} lastDay - Last day offset from the reference day
+ * @returns {Array} Windows as { start, end } epoch milliseconds, sorted
+ */
+function getWindows(schedule, timezone, date, firstDay, lastDay) {
+  const today = getZonedParts(timezone, date.getTime());
+  const windows = [];
+
+  for (let offset = firstDay; offset <= lastDay; offset++) {
+    // Walk the calendar in UTC so month and year boundaries are handled for us
+    const calendarDay = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const year = calendarDay.getUTCFullYear();
+    const month = calendarDay.getUTCMonth() + 1;
+    const day = calendarDay.getUTCDate();
+    const isoDate = calendarDay.toISOString().substring(0, 10);
+
+    if (schedule.blackouts.some(({ from, to }) => isoDate >= from && isoDate <= to)) {
+      continue;
+    }
+
+    for (const rule of schedule.rules) {
+      if (!rule.days.includes(calendarDay.getUTCDay())) continue;
+
+      for (const window of rule.windows) {
+        windows.push({
+          start: zonedTimeToInstant(timezone, year, month, day, window.start),
+          end: zonedTimeToInstant(timezone, year, month, day, window.end)
+        });
+      }
+    }
+  }
+
+  windows.sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const window of windows) {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push({ ...window });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Check whether a schedule is active at a given time
+ * @param {Object} schedule - Parsed schedule
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Time to check (defaults to now)
+ * @returns {boolean} True if inside an active window
+ */
+export function isScheduleActive(schedule, timezone, date = new Date()) {
+  const now = date.getTime();
+  return getWindows(schedule, timezone, date, -1, 0)
+    .some(window => window.start <= now && now < window.end);
+}
+
+/**
+ * Find the current or next active window of a schedule
+ * @param {Object} schedule - Parsed schedule
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Time to search from (defaults to now)
+ * @returns {Object|null} { start: Date, end: Date, isActive } or null if no window within a year
+ */
+export function getNextActiveWindow(schedule, timezone, date = new Date()) {
+  const now = date.getTime();
+  let found = null;
+
+  const toResult = window => ({
+    start: new Date(window.start),
+    end: new Date(window.end),
+    isActive: window.start <= now
+  });
+
+  // Search a week at a time, so long blackouts do not cost a full year up front.
+  // Once a window is found, later weeks are only read to see how far it extends.
+  for (let firstDay = -1; firstDay <= MAX_SEARCH_DAYS; firstDay += 7) {
+    const lastDay = Math.min(firstDay + 6, MAX_SEARCH_DAYS);
+
+    for (const window of getWindows(schedule, timezone, date, firstDay, lastDay)) {
+      if (!found) {
+        if (window.end > now) found = window;
+      } else if (window.start > found.end) {
+        return toResult(found);
+      } else {
+        found.end = Math.max(found.end, window.end);
+      }
+    }
+  }
+
+  return found ? toResult(found) : null;
+}
@@ -0,0 +1,219 @@
+import { createLogger } from './logger.js';
+import {
+  RSS_BRIDGE_HEALTH_WINDOW,
+  RSS_BRIDGE_HEALTH_MAX_AGE_MS,
+  RSS_BRIDGE_LATENCY_REFERENCE_MS,
+  RSS_BRIDGE_DEAD_AFTER_FAILURES,
+  RSS_BRIDGE_REPROBE_INTERVAL_MS,
+  RSS_BRIDGE_DEGRADED_SUCCESS_RATE
+} from './constants.js';
+
+const logger = createLogger('BridgePool');
+
+/**
+ * RSS Bridge instance pool
+ * Scores each instance by its success rate and latency over its last
+ * RSS_BRIDGE_HEALTH_WINDOW requests, so fetches go to the healthiest first.
+ *
+ * - Requests older than RSS_BRIDGE_HEALTH_MAX_AGE_MS are forgotten. An instance
+ *   without recent requests scores as healthy, so instances that lost traffic
+ *   after a failure get tried again.
+ * - After RSS_BRIDGE_DEAD_AFTER_FAILURES consecutive failures an instance is dead:
+ *   it is only used when every instance is dead, and is due for a probe every
+ *   RSS_BRIDGE_REPROBE_INTERVAL_MS (see getDueProbes()).
+ * - Any success, including a probe, brings a dead instance back.
+ */
+class BridgePool {
+  /**
+   * @param {string[]} urls - Instance base URLs
+   */
+  constructor(urls) {
+    this.instances = urls.map(url => ({
+      url,
+      outcomes: [], // { ok, latencyMs, at }, oldest first
+      consecutiveFailures: 0,
+      dead: false,
+      nextProbeAt: null,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null
+    }));
+  }
+
+  /**
+   * Get an instance by URL
+   * @param {string} url - Instance base URL
+   * @returns {Object} Instance state
+   * @throws {Error} If the URL is not part of the pool
+   */
+  getInstance(url) {
+    const instance = this.instances.find(i => i.url === url);
+    if (!instance) {
+      throw new Error(`Unknown RSS Bridge instance: ${url}`);
+    }
+    return instance;
+  }
+
+  /**
+   * Add an outcome to an instance's window
+   * @param {Object} instance - Instance state
+   * @param {Object} outcome - { ok, latencyMs }
+   */
+  addOutcome(instance, outcome) {
+    instance.outcomes.push({ ...outcome, at: Date.now() });
+    if (instance.outcomes.length > RSS_BRIDGE_HEALTH_WINDOW) {
+      instance.outcomes.shift();
+    }
+  }
+
+  /**
+   * Get an instance's outcomes, dropping those older than RSS_BRIDGE_HEALTH_MAX_AGE_MS
+   * @param {Object} instance - Instance state
+   * @returns {Array} Recent outcomes, oldest first
+   */
+  getRecentOutcomes(instance) {
+    const cutoff = Date.now() - RSS_BRIDGE_HEALTH_MAX_AGE_MS;
+    instance.outcomes = instance.outcomes.filter(outcome => outcome.at >= cutoff);
+    return instance.outcomes;
+  }
+
+  /**
+   * Get the success rate and average latency of an instance
+   * @param {Object} instance - Instance state
+   * @returns {Object} { successRate (0-1), avgLatencyMs (null without successes), score }
+   */
+  getHealth(instance) {
+    const outcomes = this.getRecentOutcomes(instance);
+    const successes = outcomes.filter(outcome => outcome.ok);
+    const successRate = outcomes.length > 0 ? successes.length / outcomes.length : 1;
+    const avgLatencyMs = successes.length > 0
+      ? Math.round(successes.reduce((sum, outcome) => sum + outcome.latencyMs, 0) / successes.length)
+      : null;
+
+    return {
+      successRate,
+      avgLatencyMs,
+      score: successRate / (1 + (avgLatencyMs ?? 0) / RSS_BRIDGE_LATENCY_REFERENCE_MS)
+    };
+  }
+
+  /**
+   * Get the instances in the order they should be tried
+   * Live instances come first, best score first. Dead instances are only
+   * returned when no instance is alive, soonest probe first.
+   * @returns {string[]} Instance base URLs
+   */
+  getOrderedUrls() {
+    const alive = this.instances.filter(instance => !instance.dead);
+
+    if (alive.length === 0) {
+      return [...this.instances]
+        .sort((a, b) => a.nextProbeAt - b.nextProbeAt)
+        .map(instance => instance.url);
+    }
+
+    return alive
+      .map(instance => ({ url: instance.url, score: this.getHealth(instance).score }))
+      .sort((a, b) => b.score - a.score)
+      .map(instance => instance.url);
+  }
+
+  /**
+   * Record a successful request
+   * @param {string} url - Instance base URL
+   * @param {number} latencyMs - Response time
+   */
+  recordSuccess(url, latencyMs) {
+    const instance = this.getInstance(url);
+
+    this.addOutcome(instance, { ok: true, latencyMs });
+    instance.consecutiveFailures = 0;
+    instance.lastSuccessAt = Date.now();
+
+    if (instance.dead) {
+      instance.dead = false;
+      instance.nextProbeAt = null;
+      logger.info('RSS Bridge instance is back in rotation', { url, latencyMs });
+    }
+  }
+
+  /**
+   * Record a failed request, taking the instance out of rotation once it keeps failing
+   * @param {string} url - Instance base URL
+   * @param {string} error - Error message
+   */
+  recordFailure(url, error) {
+    const instance = this.getInstance(url);
+
+    this.addOutcome(instance, { ok: false, latencyMs: null });
+    instance.consecutiveFailures++;
+    instance.lastError = error;
+    instance.lastFailureAt = Date.now();
+
+    if (instance.dead) {
+      instance.nextProbeAt = Date.now() + RSS_BRIDGE_REPROBE_INTERVAL_MS;
+    } else if (instance.consecutiveFailures >= RSS_BRIDGE_DEAD_AFTER_FAILURES) {
+      instance.dead = true;
+      instance.nextProbeAt = Date.now() + RSS_BRIDGE_REPROBE_INTERVAL_MS;
+      logger.warn('RSS Bridge instance taken out of rotation', {
+        url,
+        consecutiveFailures: instance.consecutiveFailures,
+        error,
+        reprobeInMinutes: Math.round(RSS_BRIDGE_REPROBE_INTERVAL_MS / 60000)
+      });
+    }
+  }
+
+  /**
+   * Get the dead instances whose next probe is due
+   * @returns {string[]} Instance base URLs
+   */
+  getDueProbes() {
+    const now = Date.now();
+    return this.instances
+      .filter(instance => instance.dead && instance.nextProbeAt <= now)
+      .map(instance => instance.url);
+  }
+
+  /**
+   * Get the health of every instance
+   * @returns {Array} Array of { url, state, score, successRate, avgLatencyMs, requests,
+   *   consecutiveFailures, lastError, lastSuccessAt, nextProbeAt }, in try order
+   */
+  getStatus() {
+    const order = this.getOrderedUrls();
+    const rank = url => {
+      const index = order.indexOf(url);
+      return index === -1 ? order.length : index;
+    };
+
+    return [...this.instances]
+      .sort((a, b) => rank(a.url) - rank(b.url) || a.nextProbeAt - b.nextProbeAt)
+      .map(instance => {
+        const health = this.getHealth(instance);
+        let state = 'healthy';
+        if (instance.dead) {
+          state = 'dead';
+        } else if (instance.outcomes.length === 0) {
+          state = 'unknown';
+        } else if (instance.consecutiveFailures > 0 || health.successRate < RSS_BRIDGE_DEGRADED_SUCCESS_RATE) {
+          state = 'degraded';
+        }
+
+        return {
+          url: instance.url,
+          state,
+          score: Math.round(health.score * 100) / 100,
+          successRate: Math.round(health.successRate * 100) / 100,
+          avgLatencyMs: health.avgLatencyMs,
+          requests: instance.outcomes.length,
+          consecutiveFailures: instance.consecutiveFailures,
+          lastError: instance.lastError,
+          lastSuccessAt: instance.lastSuccessAt ? new Date(instance.lastSuccessAt).toISOString() : null,
+          nextProbeAt: instance.nextProbeAt ? new Date(instance.nextProbeAt).toISOString() : null
+        };
+      });
+  }
+}
+
+export default BridgePool;
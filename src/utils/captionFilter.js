@@ -0,0 +1,118 @@
+/**
+ * Caption filter rules
+ * Decides whether a post caption passes a notification setting's include/exclude rules
+ */
+
+export const FILTER_MODES = ['include', 'exclude'];
+export const FILTER_TYPES = ['keyword', 'hashtag', 'regex'];
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalize a rule value before storing it
+ * @param {string} type - Rule type
+ * @param {string} value - Raw value from the user
+ * @returns {string} Normalized value
+ */
+export function normalizeFilterValue(type, value) {
+  const trimmed = value.trim();
+
+  if (type === 'hashtag') {
+    return trimmed.replace(/^#+/, '').toLowerCase();
+  }
+  if (type === 'keyword') {
+    return trimmed.toLowerCase();
+  }
+  return trimmed;
+}
+
+/**
+ * Validate a filter rule
+ * @param {string} mode - 'include' or 'exclude'
+ * @param {string} type - 'keyword', 'hashtag' or 'regex'
+ * @param {string} value - Normalized rule value
+ * @throws {Error} If the rule is invalid
+ */
+export function validateFilterRule(mode, type, value) {
+  if (!FILTER_MODES.includes(mode)) {
+    throw new Error(`Filter mode must be one of: ${FILTER_MODES.join(', ')}`);
+  }
+  if (!FILTER_TYPES.includes(type)) {
+    throw new Error(`Filter type must be one of: ${FILTER_TYPES.join(', ')}`);
+  }
+  if (!value) {
+    throw new Error('Filter value must not be empty');
+  }
+  if (type === 'hashtag' && !/^[\p{L}\p{N}_]+$/u.test(value)) {
+    throw new Error('Hashtags may only contain letters, numbers and underscores');
+  }
+  if (type === 'regex') {
+    try {
+      new RegExp(value, 'iu');
+    } catch (error) {
+      throw new Error(error.message);
+    }
+  }
+}
+
+/**
+ * Build a matcher for a single rule
+ * @param {Object} rule - Filter rule ({ type, value })
+ * @returns {RegExp} Regular expression matching the rule
+ */
+function buildRuleRegex(rule) {
+  switch (rule.type) {
+    case 'hashtag':
+      return new RegExp(`#${escapeRegex(rule.value)}(?![\\p{L}\\p{N}_])`, 'iu');
+    case 'keyword':
+      // Whole-word match so "ad" does not match "made"
+      return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegex(rule.value)}(?![\\p{L}\\p{N}_])`, 'iu');
+    default:
+      return new RegExp(rule.value, 'iu');
+  }
+}
+
+/**
+ * Check whether a single rule matches a caption
+ * Rules that cannot be compiled never match
+ * @param {Object} rule - Filter rule
+ * @param {string} caption - Post caption
+ * @returns {boolean} True if the rule matches
+ */
+export function ruleMatches(rule, caption) {
+  try {
+    return buildRuleRegex(rule).test(caption);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Evaluate include/exclude rules against a caption
+ * Any matching exclude rule rejects the post; if include rules exist, at least one must match
+ * @param {string} caption - Post caption
+ * @param {Array} rules - Filter rules ({ mode, type, value })
+ * @returns {boolean} True if the post passes the filters
+ */
+export function matchesCaptionFilters(caption, rules) {
+  if (!rules || rules.length === 0) {
+    return true;
+  }
+
+  const text = caption || '';
+  const includes = rules.filter(rule => rule.mode === 'include');
+  const excludes = rules.filter(rule => rule.mode === 'exclude');
+
+  if (excludes.some(rule => ruleMatches(rule, text))) {
+    return false;
+  }
+
+  return includes.length === 0 || includes.some(rule => ruleMatches(rule, text));
+}
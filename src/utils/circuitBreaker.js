@@ -1,37 +1,145 @@
+import { EventEmitter } from 'events';
+
 /**
  * Circuit Breaker pattern implementation
  * Prevents repeated calls to failing services
+ *
+ * - A circuit opens after `failureThreshold` consecutive failures.
+ * - Each consecutive trip doubles the time it stays open, up to `maxResetTimeoutMs`.
+ * - Once that time has passed the circuit is half-open and lets exactly one probe
+ *   through: success closes it, failure opens it again with a longer timeout.
+ * - While closed, one failure is forgiven per `failureDecayMs` without failures,
+ *   so occasional errors spread over days never trip the circuit.
+ *
+ * Events:
+ * - 'transition' ({ key, from, to, failures, trips, resetTimeoutMs }) when a circuit changes state
+ * - 'change' (key, snapshot) whenever a circuit's stored state changes; snapshot is
+ *   null once the circuit was reset
  */
-
-class CircuitBreaker {
-  constructor(failureThreshold = 5, resetTimeoutMs = 60000) {
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {number} failureThreshold - Consecutive failures before the circuit opens
+   * @param {number} resetTimeoutMs - Time the circuit stays open after its first trip
+   * @param {Object} options - Options
+   * @param {number} options.maxResetTimeoutMs - Cap on the escalating open time
+   * @param {number} options.failureDecayMs - Time without failures after which one failure is forgiven
+   */
+  constructor(failureThreshold = 5, resetTimeoutMs = 60000, { maxResetTimeoutMs = resetTimeoutMs, failureDecayMs = null } = {}) {
+    super();
     this.failureThreshold = failureThreshold;
     this.resetTimeoutMs = resetTimeoutMs;
+    this.maxResetTimeoutMs = Math.max(maxResetTimeoutMs, resetTimeoutMs);
+    this.failureDecayMs = failureDecayMs;
 
     // State per key
     this.failures = new Map(); // key -> count
     this.lastFailureTime = new Map(); // key -> timestamp
     this.state = new Map(); // key -> 'closed' | 'open' | 'half-open'
+    this.trips = new Map(); // key -> consecutive trips since the circuit last closed
+    this.probeStartedAt = new Map(); // key -> timestamp of the half-open probe in flight
+  }
+
+  /**
+   * Emit a 'change' event with the circuit's current snapshot
+   * @param {string} key - Unique key
+   */
+  notifyChange(key) {
+    this.emit('change', key, this.state.has(key) || this.failures.has(key) ? this.getSnapshot(key) : null);
   }
 
   /**
-   * Check if circuit is open for a given key
+   * Move a circuit to a new state and emit a 'transition' event
+   * @param {string} key - Unique key
+   * @param {string} to - New state
+   */
+  transition(key, to) {
+    const from = this.state.get(key) || 'closed';
+    this.state.set(key, to);
+
+    if (from !== to) {
+      this.emit('transition', {
+        key,
+        from,
+        to,
+        failures: this.failures.get(key) || 0,
+        trips: this.trips.get(key) || 0,
+        resetTimeoutMs: this.getResetTimeout(key)
+      });
+    }
+  }
+
+  /**
+   * Get the stored state of a circuit, e.g. for persisting it
+   * @param {string} key - Unique key
+   * @returns {Object} { state, failures, lastFailureTime, trips }
+   */
+  getSnapshot(key) {
+    return {
+      state: this.state.get(key) || 'closed',
+      failures: this.failures.get(key) || 0,
+      lastFailureTime: this.lastFailureTime.get(key) || null,
+      trips: this.trips.get(key) || 0
+    };
+  }
+
+  /**
+   * Restore circuits from snapshots, without emitting events
+   * A restored half-open circuit gets a fresh probe.
+   * @param {Array} snapshots - Array of { key, state, failures, lastFailureTime, trips }
+   */
+  restore(snapshots) {
+    for (const { key, state, failures, lastFailureTime, trips = 0 } of snapshots) {
+      this.state.set(key, state);
+      this.failures.set(key, failures);
+      this.trips.set(key, state === 'closed' ? 0 : Math.max(trips, 1));
+      if (lastFailureTime) {
+        this.lastFailureTime.set(key, lastFailureTime);
+      }
+    }
+  }
+
+  /**
+   * Get how long a circuit stays open after its latest trip
+   * @param {string} key - Unique key
+   * @returns {number} Milliseconds
+   */
+  getResetTimeout(key) {
+    const trips = Math.max(this.trips.get(key) || 0, 1);
+    return Math.min(this.resetTimeoutMs * Math.pow(2, trips - 1), this.maxResetTimeoutMs);
+  }
+
+  /**
+   * Check if a call for a given key must be blocked
+   * An open circuit whose timeout has passed turns half-open and lets this one
+   * call through as its probe; further calls are blocked until the probe reports
+   * back through recordSuccess() or recordFailure().
    * @param {string} key - Unique key (e.g., username)
    * @returns {boolean} True if circuit is open (blocked)
    */
   isOpen(key) {
     const state = this.state.get(key) || 'closed';
+    if (state === 'closed') {
+      return false;
+    }
+
+    const now = Date.now();
 
     if (state === 'open') {
-      // Check if we should transition to half-open
       const lastFailure = this.lastFailureTime.get(key);
-      if (lastFailure && Date.now() - lastFailure >= this.resetTimeoutMs) {
-        this.state.set(key, 'half-open');
-        return false;
+      if (lastFailure && now - lastFailure < this.getResetTimeout(key)) {
+        return true;
+      }
+      this.transition(key, 'half-open');
+      this.notifyChange(key);
+    } else {
+      // A probe that never reported back (e.g. the process was busy) is replaced
+      const probeStartedAt = this.probeStartedAt.get(key);
+      if (probeStartedAt && now - probeStartedAt < this.resetTimeoutMs) {
+        return true;
       }
-      return true;
     }
 
+    this.probeStartedAt.set(key, now);
     return false;
   }
 
@@ -40,9 +148,17 @@ class CircuitBreaker {
    * @param {string} key - Unique key
    */
   recordSuccess(key) {
+    const changed = this.getFailureCount(key) > 0 || (this.state.get(key) || 'closed') !== 'closed';
+
     // Reset on success
     this.failures.set(key, 0);
-    this.state.set(key, 'closed');
+    this.trips.delete(key);
+    this.probeStartedAt.delete(key);
+    this.transition(key, 'closed');
+
+    if (changed) {
+      this.notifyChange(key);
+    }
   }
 
   /**
@@ -51,57 +167,96 @@ class CircuitBreaker {
    * @returns {boolean} True if circuit breaker tripped (opened)
    */
   recordFailure(key) {
-    const currentFailures = (this.failures.get(key) || 0) + 1;
-    this.failures.set(key, currentFailures);
-    this.lastFailureTime.set(key, Date.now());
-
+    const currentFailures = this.getFailureCount(key) + 1;
     const currentState = this.state.get(key) || 'closed';
 
     // If we're half-open and failed, go back to open
-    if (currentState === 'half-open') {
-      this.state.set(key, 'open');
-      return true;
-    }
+    // Otherwise check if we've hit the threshold
+    const tripped = currentState === 'half-open' ||
+      (currentState === 'closed' && currentFailures >= this.failureThreshold);
+
+    this.addFailure(key, currentFailures, tripped);
+    return tripped;
+  }
+
+  /**
+   * Open a circuit right away, for failures that retrying soon will not fix
+   * Counts as a failure; an already open circuit only records it.
+   * @param {string} key - Unique key
+   * @returns {boolean} True if circuit breaker tripped (was not open yet)
+   */
+  trip(key) {
+    const tripped = this.state.get(key) !== 'open';
+    this.addFailure(key, Math.max(this.getFailureCount(key) + 1, this.failureThreshold), tripped);
+    return tripped;
+  }
+
+  /**
+   * Give up a half-open probe claimed by isOpen without a result, e.g. when the
+   * check was skipped for another reason, so the next caller can probe instead
+   * @param {string} key - Unique key
+   */
+  releaseProbe(key) {
+    this.probeStartedAt.delete(key);
+  }
 
-    // Check if we've hit the threshold
-    if (currentFailures >= this.failureThreshold) {
-      this.state.set(key, 'open');
-      return true;
+  /**
+   * Store a failure and open the circuit if it tripped
+   * @param {string} key - Unique key
+   * @param {number} failures - New failure count
+   * @param {boolean} tripped - Whether the circuit opens
+   */
+  addFailure(key, failures, tripped) {
+    this.failures.set(key, failures);
+    this.lastFailureTime.set(key, Date.now());
+    this.probeStartedAt.delete(key);
+
+    if (tripped) {
+      this.trips.set(key, (this.trips.get(key) || 0) + 1);
+      this.transition(key, 'open');
     }
 
-    return false;
+    this.notifyChange(key);
   }
 
   /**
-   * Get current state for a key
+   * Get current state for a key, without starting a probe
    * @param {string} key - Unique key
    * @returns {string} State: 'closed', 'open', or 'half-open'
    */
   getState(key) {
-    // Check if open state should transition to half-open
-    if (this.isOpen(key)) {
-      return 'open';
+    const state = this.state.get(key) || 'closed';
+    if (state === 'open' && this.getRemainingResetTime(key) === 0) {
+      return 'half-open';
     }
-    return this.state.get(key) || 'closed';
+    return state;
   }
 
   /**
    * Get failure count for a key
+   * Closed circuits forgive one failure per failureDecayMs since the last failure
    * @param {string} key - Unique key
    * @returns {number} Number of consecutive failures
    */
   getFailureCount(key) {
-    return this.failures.get(key) || 0;
+    const failures = this.failures.get(key) || 0;
+    const lastFailure = this.lastFailureTime.get(key);
+
+    if (!this.failureDecayMs || !lastFailure || (this.state.get(key) || 'closed') !== 'closed') {
+      return failures;
+    }
+
+    const forgiven = Math.floor((Date.now() - lastFailure) / this.failureDecayMs);
+    return Math.max(0, failures - forgiven);
   }
 
   /**
    * Get remaining time until circuit can be tried again
    * @param {string} key - Unique key
-   * @returns {number} Milliseconds until reset, or 0 if closed
+   * @returns {number} Milliseconds until reset, or 0 if not open
    */
   getRemainingResetTime(key) {
-    const state = this.getState(key);
-    if (state !== 'open') {
+    if (this.state.get(key) !== 'open') {
       return 0;
     }
 
@@ -111,7 +266,7 @@ class CircuitBreaker {
     }
 
     const elapsed = Date.now() - lastFailure;
-    return Math.max(0, this.resetTimeoutMs - elapsed);
+    return Math.max(0, this.getResetTimeout(key) - elapsed);
   }
 
   /**
@@ -119,18 +274,29 @@ class CircuitBreaker {
    * @param {string} key - Unique key
    */
   reset(key) {
+    const from = this.getState(key);
+
     this.failures.delete(key);
     this.lastFailureTime.delete(key);
     this.state.delete(key);
+    this.trips.delete(key);
+    this.probeStartedAt.delete(key);
+
+    if (from !== 'closed') {
+      this.emit('transition', { key, from, to: 'closed', failures: 0, trips: 0, resetTimeoutMs: this.resetTimeoutMs });
+    }
+    this.notifyChange(key);
   }
 
   /**
    * Reset all circuits
    */
   resetAll() {
-    this.failures.clear();
-    this.lastFailureTime.clear();
-    this.state.clear();
+    const keys = new Set([...this.failures.keys(), ...this.state.keys()]);
+
+    for (const key of keys) {
+      this.reset(key);
+    }
   }
 
   /**
@@ -147,6 +313,8 @@ class CircuitBreaker {
       key,
       state: this.getState(key),
       failures: this.getFailureCount(key),
+      trips: this.trips.get(key) || 0,
+      resetTimeout: this.getResetTimeout(key),
       remainingResetTime: this.getRemainingResetTime(key)
     }));
   }
@@ -0,0 +1,68 @@
+/**
+ * Slash command options shared by /track and /update
+ */
+
+const CONTENT_CHOICES = [
+  { name: 'Feed posts and reels', value: 'feed,reels' },
+  { name: 'Feed posts only', value: 'feed' },
+  { name: 'Reels only', value: 'reels' },
+  { name: 'Stories only', value: 'stories' },
+  { name: 'Feed posts and stories', value: 'feed,stories' },
+  { name: 'Reels and stories', value: 'reels,stories' },
+  { name: 'Everything', value: 'feed,reels,stories' }
+];
+
+const FORMAT_CHOICES = [
+  { name: 'All formats', value: 'all' },
+  { name: 'Photos only', value: 'image' },
+  { name: 'Carousels only', value: 'carousel' },
+  { name: 'Photos and carousels', value: 'image,carousel' },
+  { name: 'Videos only', value: 'video' }
+];
+
+const TIER_CHOICES = [
+  { name: 'Hot (every 2 minutes)', value: 'hot' },
+  { name: 'Normal (default interval)', value: 'normal' },
+  { name: 'Slow (every 30 minutes)', value: 'slow' },
+  { name: 'Dormant (every hour)', value: 'dormant' }
+];
+
+const DELIVERY_CHOICES = [
+  { name: 'Realtime (one message per post)', value: 'realtime' },
+  { name: 'Hourly digest', value: 'hourly' },
+  { name: 'Daily digest', value: 'daily' },
+  { name: 'Weekly digest (Mondays)', value: 'weekly' }
+];
+
+/**
+ * Add the optional announcement options (announce_pinned, content, formats, tier, delivery)
+ * @param {SlashCommandBuilder} builder - Command builder
+ * @returns {SlashCommandBuilder} The same builder, for chaining
+ */
+export function addNotificationOptions(builder) {
+  return builder
+    .addBooleanOption(option =>
+      option.setName('announce_pinned')
+        .setDescription('Also announce posts when they are newly pinned to the profile')
+        .setRequired(false))
+    .addStringOption(option =>
+      option.setName('content')
+        .setDescription('What to announce (default: feed posts and reels)')
+        .setRequired(false)
+        .addChoices(...CONTENT_CHOICES))
+    .addStringOption(option =>
+      option.setName('formats')
+        .setDescription('Which feed post formats to announce (default: all)')
+        .setRequired(false)
+        .addChoices(...FORMAT_CHOICES))
+    .addStringOption(option =>
+      option.setName('tier')
+        .setDescription('How often the account is checked (applies to every server tracking it)')
+        .setRequired(false)
+        .addChoices(...TIER_CHOICES))
+    .addStringOption(option =>
+      option.setName('delivery')
+        .setDescription('Announce each post right away or in a summary (default: realtime)')
+        .setRequired(false)
+        .addChoices(...DELIVERY_CHOICES));
+}
@@ -12,24 +12,117 @@ export const STRATEGY_DELAY_MS = 500; // Delay between fetch strategies
 export const FETCH_RETRY_ATTEMPTS = 3;
 export const FETCH_RETRY_BASE_DELAY_MS = 1000; // Base delay for exponential backoff
 export const FETCH_RETRY_MAX_DELAY_MS = 10000; // Max delay between retries
+export const DEFAULT_FETCH_STRATEGIES = 'rssbridge,direct,webscrape'; // Tried in order, overridable via FETCH_STRATEGIES
+
+// RSS Bridge Instances (RSS_BRIDGE_URL accepts a comma-separated list)
+export const DEFAULT_RSS_BRIDGE_URL = 'https://rss-bridge.org/bridge01';
+export const RSS_BRIDGE_HEALTH_WINDOW = 20; // Recent requests per instance used for its success rate and latency
+export const RSS_BRIDGE_HEALTH_MAX_AGE_MS = 1800000; // Older requests are forgotten, so idle instances get tried again
+export const RSS_BRIDGE_LATENCY_REFERENCE_MS = 2000; // An instance this slow scores half as much as an instant one
+export const RSS_BRIDGE_DEAD_AFTER_FAILURES = 3; // Consecutive failures before an instance leaves the rotation
+export const RSS_BRIDGE_DEGRADED_SUCCESS_RATE = 0.8; // Live instances below this success rate are shown as degraded
+export const RSS_BRIDGE_REPROBE_INTERVAL_MS = 300000; // Dead instances are probed again every 5 minutes
+export const RSS_BRIDGE_PROBE_CRON = '0 * * * * *'; // Look for dead instances due for a probe every minute
 
 // Account Monitoring Configuration
 export const ACCOUNT_CHECK_DELAY_MIN_MS = 2000; // 2 seconds
 export const ACCOUNT_CHECK_DELAY_MAX_MS = 3000; // 3 seconds
 export const ACCOUNT_CHECK_CONCURRENCY = 5; // Number of accounts to check in parallel
+export const MONITOR_TICK_CRON = '* * * * *'; // Due accounts are collected every minute
+
+// Check tiers: minutes between checks per account (null = CHECK_INTERVAL)
+export const CHECK_TIERS = {
+  hot: 2,
+  normal: null,
+  slow: 30,
+  dormant: 60
+};
+export const DEFAULT_CHECK_TIER = 'normal';
+
+// Adaptive Polling (learned from post_history)
+export const ADAPTIVE_MIN_SAMPLES = 5; // Posts needed before polling adapts
+export const ADAPTIVE_LEARNING_WINDOW_DAYS = 30; // Matches POST_HISTORY_RETENTION_DAYS
+export const ADAPTIVE_PEAK_HOUR_RATIO = 1.5; // Hours with 1.5x the average activity are peak hours
+export const ADAPTIVE_TIGHTEN_FACTOR = 0.5; // Poll twice as often during peak hours
+export const ADAPTIVE_MIN_INTERVAL_MINUTES = 2;
+export const ADAPTIVE_MAX_INTERVAL_MINUTES = 120;
+export const ADAPTIVE_SCHEDULE_REFRESH_MS = 3600000; // Re-learn schedules hourly
+export const MAX_NEW_POSTS_PER_CHECK = 5; // Cap on posts announced per account per cycle
+
+// Catch-up after quiet periods
+export const CATCH_UP_MAX_POSTS = 20; // Cap on posts announced by the first check after a quiet period
+export const CATCH_UP_MODES = ['individual', 'digest'];
+export const HELD_POST_RETENTION_DAYS = 7; // Held posts older than this are dropped instead of announced
+
+// Digest delivery (per notification setting)
+export const DELIVERY_MODES = ['realtime', 'hourly', 'daily', 'weekly'];
+export const DEFAULT_DELIVERY_MODE = 'realtime';
+export const DIGEST_CRON = '0 * * * *'; // Queued digests are evaluated at the top of every hour
+export const DEFAULT_DIGEST_HOUR = 9; // Local hour daily and weekly digests are sent
+export const DIGEST_WEEKDAY = 1; // Weekly digests are sent on Mondays
+export const DIGEST_QUEUE_RETENTION_DAYS = 14; // Queued posts older than this are dropped
+
+// Circuit Breaker
 export const CIRCUIT_BREAKER_FAILURE_THRESHOLD = 5; // Consecutive failures before circuit opens
-export const CIRCUIT_BREAKER_RESET_TIMEOUT_MS = 1800000; // 30 minutes
+export const CIRCUIT_BREAKER_RESET_TIMEOUT_MS = 300000; // 5 minutes after the first trip, doubling per consecutive trip
+export const CIRCUIT_BREAKER_MAX_RESET_TIMEOUT_MS = 21600000; // Open for at most 6 hours at a time
+export const CIRCUIT_BREAKER_FAILURE_DECAY_MS = 3600000; // One failure is forgiven per hour without failures
+export const CIRCUIT_BREAKER_EVENT_HISTORY = 20; // Recent state transitions kept for /breaker and /health
+export const STORY_BREAKER_KEY_SUFFIX = ':stories'; // Breaker key suffix for an account's story feed
+export const RATE_LIMIT_BREAKER_KEY = 'rate-limit'; // Shared circuit for rate limits; never a valid username
+
+// Content Types (what a notification setting receives)
+export const CONTENT_TYPES = ['feed', 'reels', 'stories'];
+export const DEFAULT_CONTENT_TYPES = 'feed,reels';
+export const FEED_MEDIA_TYPES = ['image', 'carousel', 'video']; // Formats a feed filter can select
+
+// Stories Configuration
+export const STORY_LIFETIME_MS = 86400000; // Stories expire 24 hours after posting
 
 // Discord Configuration
 export const DISCORD_RETRY_ATTEMPTS = 3;
 export const DISCORD_RETRY_BASE_DELAY_MS = 1000;
 export const DISCORD_MESSAGE_HISTORY_LIMIT = 4; // Messages to check for duplicates
 export const DISCORD_EMBED_MAX_LENGTH = 4096;
+export const DISCORD_MESSAGE_MAX_LENGTH = 2000;
+export const DISCORD_GALLERY_MAX_IMAGES = 4; // Embeds sharing a URL render as one gallery of up to 4 images
+export const DISCORD_UPLOAD_LIMIT_BYTES = 10485760; // 10MB total attachments per message (unboosted servers)
+
+// Notification Outbox (durable delivery with retries)
+export const OUTBOX_CRON = '*/30 * * * * *'; // Due outbox entries are retried every 30 seconds
+export const OUTBOX_BATCH_SIZE = 25; // Entries delivered per worker run
+export const OUTBOX_RETRY_BASE_DELAY_MS = 30000; // First retry after 30 seconds, doubling each attempt
+export const OUTBOX_RETRY_MAX_DELAY_MS = 3600000; // Retries are at most an hour apart
+export const OUTBOX_MAX_ATTEMPTS = 12; // Roughly five hours of retries before an entry is given up
+export const OUTBOX_RETENTION_DAYS = 7; // Delivered and failed entries are kept this long
+
+// Sent Message Verification
+export const SENT_MESSAGE_VERIFY_INTERVAL_MS = 1800000; // Re-verify an account's announcements every 30 minutes
+export const SENT_MESSAGE_VERIFY_WINDOW_DAYS = 7; // Only announcements from the last week are re-verified
+export const SENT_MESSAGE_MISSING_THRESHOLD = 2; // Consecutive checks a post must be missing before it counts as removed
+export const REMOVED_POST_ACTIONS = ['ignore', 'mark', 'delete'];
+export const REMOVED_EMBED_COLOR = '#808080';
+
+// Media Attachments
+export const MEDIA_MAX_BYTES = 8388608; // 8MB per downloaded file
+export const MEDIA_CACHE_RETENTION_HOURS = 48;
+export const MEDIA_CACHE_CLEANUP_INTERVAL_HOURS = 6;
 
 // Rate Limiting
 export const COMMAND_COOLDOWN_MS = 5000; // 5 seconds between commands per user
 export const GLOBAL_COMMAND_COOLDOWN_MS = 1000; // 1 second between any commands
 
+// Request Governor (token bucket per host around Instagram fetches)
+export const REQUEST_BUDGETS = {
+  'www.instagram.com': { burst: 5, perMinute: 12 },
+  default: { burst: 10, perMinute: 30 } // RSS Bridge, story feeds and other sources
+};
+export const REQUEST_GOVERNOR_MAX_WAIT_MS = 30000; // Hosts blocked for longer fail fast as rate limited
+export const REQUEST_GOVERNOR_BACKOFF_BASE_MS = 60000; // Block after a 429 without Retry-After, doubling per consecutive 429
+export const REQUEST_GOVERNOR_BACKOFF_MAX_MS = 1800000; // 30 minutes
+export const REQUEST_GOVERNOR_MAX_RETRY_AFTER_MS = 3600000; // Longer Retry-After values are capped at 1 hour
+export const REQUEST_GOVERNOR_SUSTAINED_429 = 3; // Consecutive 429s before a host counts as throttled
+
 // Database Configuration
 export const POST_HISTORY_RETENTION_DAYS = 30;
 export const DATABASE_BACKUP_RETENTION_DAYS = 7;
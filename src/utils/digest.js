@@ -0,0 +1,43 @@
+/**
+ * Digest delivery
+ * Decides when the queued posts of a digest channel are sent
+ */
+
+import { getHourInTimezone, getWeekdayInTimezone } from './helpers.js';
+import { DIGEST_WEEKDAY } from './constants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long a post may wait before its digest is sent regardless of the hour,
+// so a digest missed while the bot was offline goes out on the next run
+const MAX_WAIT_MS = {
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS
+};
+
+/**
+ * Check whether a channel's digest is due
+ * @param {string} mode - Delivery mode (see DELIVERY_MODES)
+ * @param {Object} options - Schedule options
+ * @param {string} options.timezone - Timezone of the channel's guild
+ * @param {number} options.digestHour - Local hour daily and weekly digests are sent
+ * @param {Date} options.oldestQueuedAt - When the oldest queued post was queued
+ * @param {Date} options.now - Current time (defaults to now)
+ * @returns {boolean} True if the queued posts should be sent
+ */
+export function isDigestDue(mode, { timezone, digestHour, oldestQueuedAt, now = new Date() }) {
+  // Hourly digests go out on every run; channels switched back to realtime
+  // get their leftovers right away
+  if (!(mode in MAX_WAIT_MS)) {
+    return true;
+  }
+
+  if (now.getTime() - oldestQueuedAt.getTime() >= MAX_WAIT_MS[mode]) {
+    return true;
+  }
+
+  const isDigestHour = getHourInTimezone(timezone, now) === digestHour;
+  return mode === 'daily'
+    ? isDigestHour
+    : isDigestHour && getWeekdayInTimezone(timezone, now) === DIGEST_WEEKDAY;
+}
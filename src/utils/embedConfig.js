@@ -0,0 +1,40 @@
+/**
+ * Embed layout configuration per notification setting
+ */
+
+export const DEFAULT_EMBED_COLOR = '#E1306C'; // Instagram brand color
+export const INSTAGRAM_ICON_URL = 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/a5/Instagram_icon.png/64px-Instagram_icon.png';
+
+export const EMBED_MODES = ['embed', 'link'];
+export const EMBED_AUTHOR_STYLES = ['full', 'username', 'none'];
+export const EMBED_FOOTER_MAX_LENGTH = 2048;
+
+/**
+ * Parse a hex color string
+ * @param {string} value - Color like "#E1306C" or "e1306c"
+ * @returns {string} Normalized color ("#E1306C")
+ * @throws {Error} If the color is not a 6-digit hex value
+ */
+export function parseHexColor(value) {
+  const match = value.trim().match(/^#?([0-9a-fA-F]{6})$/);
+  if (!match) {
+    throw new Error('Color must be a 6-digit hex value such as #E1306C');
+  }
+  return `#${match[1].toUpperCase()}`;
+}
+
+/**
+ * Resolve the embed layout for a notification setting, applying defaults
+ * @param {Object} setting - Notification setting row
+ * @returns {Object} Embed configuration
+ */
+export function resolveEmbedConfig(setting = {}) {
+  return {
+    mode: EMBED_MODES.includes(setting.embed_mode) ? setting.embed_mode : 'embed',
+    color: setting.embed_color || null,
+    showCaption: setting.embed_show_caption !== 0,
+    showImage: setting.embed_show_image !== 0,
+    footer: setting.embed_footer || 'Instagram',
+    authorStyle: EMBED_AUTHOR_STYLES.includes(setting.embed_author_style) ? setting.embed_author_style : 'full'
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Fetch failure classification
+ * Every fetch strategy reports why it got no posts as one of these reasons,
+ * so callers can tell a deleted account from a rate limit or a parsing bug.
+ */
+
+export const FETCH_FAILURE_REASONS = {
+  NOT_FOUND: 'not_found',
+  PRIVATE: 'private',
+  RATE_LIMITED: 'rate_limited',
+  NETWORK: 'network',
+  PARSE: 'parse',
+  EMPTY: 'empty'
+};
+
+// Reasons that describe the account itself rather than a problem with one of the sources
+const ACCOUNT_REASONS = [
+  FETCH_FAILURE_REASONS.NOT_FOUND,
+  FETCH_FAILURE_REASONS.PRIVATE
+];
+
+// When strategies disagree, the reason earliest in this list is reported: a
+// transient problem with a source beats one source's claim about the account
+const REASON_PRIORITY = [
+  FETCH_FAILURE_REASONS.RATE_LIMITED,
+  FETCH_FAILURE_REASONS.NETWORK,
+  FETCH_FAILURE_REASONS.PARSE,
+  FETCH_FAILURE_REASONS.PRIVATE,
+  FETCH_FAILURE_REASONS.NOT_FOUND,
+  FETCH_FAILURE_REASONS.EMPTY
+];
+
+const REASON_DESCRIPTIONS = {
+  [FETCH_FAILURE_REASONS.NOT_FOUND]: 'Account not found (renamed or deleted?)',
+  [FETCH_FAILURE_REASONS.PRIVATE]: 'Account is private',
+  [FETCH_FAILURE_REASONS.RATE_LIMITED]: 'Rate limited by Instagram or the feed source',
+  [FETCH_FAILURE_REASONS.NETWORK]: 'Could not reach Instagram or the feed source',
+  [FETCH_FAILURE_REASONS.PARSE]: 'Unexpected response format (the page or feed layout may have changed)',
+  [FETCH_FAILURE_REASONS.EMPTY]: 'No posts returned'
+};
+
+// Instagram answers throttled anonymous requests with 401, or 403 and this hint
+const RATE_LIMIT_MESSAGE_PATTERN = /wait a few minutes|rate limit|too many requests/i;
+
+/**
+ * Error thrown by fetch strategies, carrying a failure reason
+ */
+export class FetchError extends Error {
+  /**
+   * @param {string} reason - One of FETCH_FAILURE_REASONS
+   * @param {string} message - Error message
+   * @param {Object} options - Options
+   * @param {number|null} options.status - HTTP status code, if any
+   * @param {boolean} options.local - The request was never sent (e.g. held back by the request governor)
+   */
+  constructor(reason, message, { status = null, local = false } = {}) {
+    super(message);
+    this.name = 'FetchError';
+    this.reason = reason;
+    this.status = status;
+    this.local = local;
+  }
+}
+
+/**
+ * Work out why a fetch failed
+ * @param {Error} error - Error thrown while fetching (axios, parser or FetchError)
+ * @returns {string} One of FETCH_FAILURE_REASONS
+ */
+export function classifyFetchError(error) {
+  if (error instanceof FetchError) {
+    return error.reason;
+  }
+
+  const status = error.response?.status;
+  if (status) {
+    if (status === 404) {
+      return FETCH_FAILURE_REASONS.NOT_FOUND;
+    }
+    if (status === 429 || status === 401) {
+      return FETCH_FAILURE_REASONS.RATE_LIMITED;
+    }
+    if (status === 403) {
+      const body = typeof error.response.data === 'string'
+        ? error.response.data
+        : JSON.stringify(error.response.data ?? '');
+      if (RATE_LIMIT_MESSAGE_PATTERN.test(body)) {
+        return FETCH_FAILURE_REASONS.RATE_LIMITED;
+      }
+    }
+    return FETCH_FAILURE_REASONS.NETWORK;
+  }
+
+  // Errors without a response are connection problems or timeouts
+  if (error.code || error.request) {
+    return FETCH_FAILURE_REASONS.NETWORK;
+  }
+
+  // Anything else was thrown while reading the response (rss-parser, JSON.parse)
+  return FETCH_FAILURE_REASONS.PARSE;
+}
+
+/**
+ * Check whether a failed request is worth retrying right away
+ * Classified failures and 4xx responses will not change on an immediate retry.
+ * @param {Error} error - Error thrown while fetching
+ * @returns {boolean} True for network errors and 5xx responses
+ */
+export function isRetryableFetchError(error) {
+  if (error instanceof FetchError) {
+    return false;
+  }
+  return !error.response || error.response.status >= 500;
+}
+
+/**
+ * Pick the reason to report from the reasons of several strategies
+ * NOT_FOUND and PRIVATE are only reported when every strategy that returned
+ * more than an empty feed agrees, since callers act on them right away.
+ * @param {string[]} reasons - Failure reasons
+ * @returns {string} Reason to report, or EMPTY if none were given
+ */
+export function pickFetchFailureReason(reasons) {
+  const answers = reasons.filter(reason => reason !== FETCH_FAILURE_REASONS.EMPTY);
+  if (answers.length > 0 && ACCOUNT_REASONS.includes(answers[0]) && answers.every(reason => reason === answers[0])) {
+    return answers[0];
+  }
+
+  for (const reason of REASON_PRIORITY) {
+    if (reasons.includes(reason)) {
+      return reason;
+    }
+  }
+  return FETCH_FAILURE_REASONS.EMPTY;
+}
+
+/**
+ * Get a human-readable description of a failure reason
+ * @param {string} reason - One of FETCH_FAILURE_REASONS
+ * @returns {string} Description
+ */
+export function describeFetchFailure(reason) {
+  return REASON_DESCRIPTIONS[reason] || 'Unknown error';
+}
@@ -199,3 +199,180 @@ export function extractInstagramPostId(urlOrGuid) {
   const match = urlOrGuid.match(/\/(p|reel)\/([A-Za-z0-9_-]+)/);
   return match ? match[2] : urlOrGuid;
 }
+
+/**
+ * Extract Instagram story ID from URL or GUID
+ * @param {string} urlOrGuid - Instagram story URL or GUID
+ * @returns {string|null} Story ID or null if not found
+ */
+export function extractInstagramStoryId(urlOrGuid) {
+  if (!urlOrGuid) return null;
+
+  // Extract from URL like: https://www.instagram.com/stories/username/1234567890/
+  // or https://www.instagram.com/stories/highlights/1234567890/
+  const match = urlOrGuid.match(/\/stories\/[A-Za-z0-9._-]+\/([0-9]+)/);
+  return match ? match[1] : urlOrGuid;
+}
+
+/**
+ * Normalize the media type of an Instagram GraphQL timeline node
+ * @param {Object} node - Timeline media node
+ * @returns {string} 'image', 'carousel', 'video' or 'reel'
+ */
+export function getMediaTypeFromGraphNode(node) {
+  if (node.product_type === 'clips') return 'reel';
+  if (node.__typename === 'GraphSidecar' || node.edge_sidecar_to_children) return 'carousel';
+  if (node.is_video || node.__typename === 'GraphVideo') return 'video';
+  return 'image';
+}
+
+/**
+ * Collect the media items of an Instagram GraphQL timeline node
+ * Carousels (sidecars) return one item per child, other posts a single item
+ * @param {Object} node - Timeline media node
+ * @returns {Array} Media items ({ url, isVideo, videoUrl })
+ */
+export function getGraphNodeMedia(node) {
+  const children = node.edge_sidecar_to_children?.edges;
+
+  if (Array.isArray(children) && children.length > 0) {
+    return children
+      .map(edge => ({
+        url: edge.node.display_url,
+        isVideo: !!edge.node.is_video,
+        videoUrl: edge.node.video_url || null
+      }))
+      .filter(item => item.url);
+  }
+
+  const url = node.display_url || node.thumbnail_src;
+  return url ? [{ url, isVideo: !!node.is_video, videoUrl: node.video_url || null }] : [];
+}
+
+/**
+ * Collect the media items of a feed item from its media:content elements
+ * @param {Array|undefined} mediaContents - media:content elements (rss-parser keepArray)
+ * @returns {Array} Media items ({ url, isVideo })
+ */
+export function getFeedItemMedia(mediaContents) {
+  if (!Array.isArray(mediaContents)) return [];
+
+  return mediaContents
+    .map(content => ({ url: content?.$?.url, isVideo: content?.$?.medium === 'video' }))
+    .filter(item => item.url);
+}
+
+/**
+ * Guess the media type of a feed item from its URL and media medium
+ * @param {string} url - Post URL
+ * @param {string|undefined} medium - media:content medium attribute, if any
+ * @returns {string} 'image', 'video' or 'reel'
+ */
+export function getMediaTypeFromUrl(url, medium) {
+  if (url && url.includes('/reel/')) return 'reel';
+  if (medium === 'video') return 'video';
+  return 'image';
+}
+
+/**
+ * Get the content type of a post for notification routing
+ * @param {Object} post - Post object
+ * @returns {string} 'reels' for reels, 'feed' for everything else
+ */
+export function getPostContentType(post) {
+  if (post.mediaType) {
+    return post.mediaType === 'reel' ? 'reels' : 'feed';
+  }
+  return post.url && post.url.includes('/reel/') ? 'reels' : 'feed';
+}
+
+/**
+ * Parse a comma-separated content type list
+ * @param {string|null} value - Stored content types (e.g. "feed,reels")
+ * @param {string[]} allowed - Allowed content types
+ * @param {string} fallback - Value to use when none is stored
+ * @returns {string[]} Content types
+ */
+export function parseContentTypes(value, allowed, fallback) {
+  const types = (value || fallback)
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(type => allowed.includes(type));
+
+  return types.length > 0 ? types : fallback.split(',');
+}
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - Timezone name (e.g. "Europe/Berlin")
+ * @returns {boolean} True if the timezone is supported
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Intl.DateTimeFormat is expensive to construct, so formatters are reused per timezone
+const hourFormatters = new Map();
+
+/**
+ * Get the hour of a date in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Date (defaults to now)
+ * @returns {number} Hour (0-23)
+ */
+export function getHourInTimezone(timezone, date = new Date()) {
+  let formatter = hourFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hour: 'numeric',
+      hour12: false
+    });
+    hourFormatters.set(timezone, formatter);
+  }
+
+  const hourPart = formatter.formatToParts(date).find(part => part.type === 'hour');
+  // Some runtimes format midnight as "24"
+  return parseInt(hourPart.value) % 24;
+}
+
+const weekdayFormatters = new Map();
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get the weekday of a date in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} date - Date (defaults to now)
+ * @returns {number} Weekday (0 = Sunday)
+ */
+export function getWeekdayInTimezone(timezone, date = new Date()) {
+  let formatter = weekdayFormatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short'
+    });
+    weekdayFormatters.set(timezone, formatter);
+  }
+
+  return WEEKDAYS.indexOf(formatter.format(date));
+}
+
+/**
+ * Check whether an hour falls inside a window, handling overnight windows (e.g. 21 - 5)
+ * @param {number} hour - Hour to check (0-23)
+ * @param {number} start - Window start hour (inclusive)
+ * @param {number} end - Window end hour (exclusive)
+ * @returns {boolean} True if the hour is inside the window
+ */
+export function isHourInWindow(hour, start, end) {
+  if (start > end) {
+    return hour >= start || hour < end;
+  }
+  return hour >= start && hour < end;
+}
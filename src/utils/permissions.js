@@ -0,0 +1,68 @@
+/**
+ * Command authorization
+ * Combines ADMIN_ROLE_ID with per-guild allow-lists stored in guild_permissions
+ */
+
+import { PermissionFlagsBits } from 'discord.js';
+
+// Command name used for rules that apply to every command
+export const ALL_COMMANDS = '*';
+
+export const PERMISSION_TARGET_TYPES = ['role', 'user'];
+
+/**
+ * Get the role IDs of the member behind an interaction
+ * @param {Interaction} interaction - Discord interaction
+ * @returns {string[]} Role IDs
+ */
+function getMemberRoleIds(interaction) {
+  const roles = interaction.member?.roles;
+  if (!roles) return [];
+  // Uncached members arrive as raw API data with an array of role IDs
+  return Array.isArray(roles) ? roles : [...roles.cache.keys()];
+}
+
+/**
+ * Decide whether the user behind an interaction may run a command
+ *
+ * - Outside guilds, Discord's own default permissions apply
+ * - The guild owner and Administrators are always allowed, so a guild cannot lock itself out
+ * - Rules for the specific command take precedence over rules for all commands ("*")
+ * - Members with ADMIN_ROLE_ID are always allowed
+ * - Without ADMIN_ROLE_ID or applicable rules, the command is allowed
+ *
+ * @param {Interaction} interaction - Discord interaction
+ * @param {Array} rules - guild_permissions rows for the guild
+ * @param {string|null} adminRoleId - Global admin role ID (ADMIN_ROLE_ID)
+ * @returns {boolean} True if the command may run
+ */
+export function isCommandAllowed(interaction, rules, adminRoleId = null) {
+  if (!interaction.inGuild()) {
+    return true;
+  }
+
+  if (interaction.guild?.ownerId === interaction.user.id ||
+      interaction.memberPermissions?.has(PermissionFlagsBits.Administrator)) {
+    return true;
+  }
+
+  const roleIds = getMemberRoleIds(interaction);
+
+  if (adminRoleId && roleIds.includes(adminRoleId)) {
+    return true;
+  }
+
+  const commandRules = rules.filter(rule => rule.command_name === interaction.commandName);
+  const applicableRules = commandRules.length > 0
+    ? commandRules
+    : rules.filter(rule => rule.command_name === ALL_COMMANDS);
+
+  if (applicableRules.length === 0) {
+    return !adminRoleId;
+  }
+
+  return applicableRules.some(rule =>
+    (rule.target_type === 'user' && rule.target_id === interaction.user.id) ||
+    (rule.target_type === 'role' && roleIds.includes(rule.target_id))
+  );
+}
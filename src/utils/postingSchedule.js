@@ -0,0 +1,127 @@
+/**
+ * Posting schedule learning
+ * Derives an account's usual posting hours and frequency from its post history
+ * and turns them into a polling interval
+ */
+
+import { getHourInTimezone } from './helpers.js';
+import {
+  ADAPTIVE_MIN_SAMPLES,
+  ADAPTIVE_LEARNING_WINDOW_DAYS,
+  ADAPTIVE_PEAK_HOUR_RATIO,
+  ADAPTIVE_TIGHTEN_FACTOR,
+  ADAPTIVE_MIN_INTERVAL_MINUTES,
+  ADAPTIVE_MAX_INTERVAL_MINUTES
+} from './constants.js';
+
+/**
+ * Learn an account's posting schedule
+ * Each post also counts half towards the neighbouring hours, so a habit of
+ * posting "around 6 PM" is not split across 17:00 and 18:00
+ * @param {Date[]} timestamps - Post publish times
+ * @param {string} timezone - Timezone to bucket hours in
+ * @returns {Object} { sampleSize, postsPerWeek, hourWeights, peakHours }
+ */
+export function learnPostingSchedule(timestamps, timezone) {
+  const valid = timestamps.filter(date => date instanceof Date && !isNaN(date.getTime()));
+  const hourWeights = new Array(24).fill(0);
+
+  for (const date of valid) {
+    const hour = getHourInTimezone(timezone, date);
+    hourWeights[hour] += 1;
+    hourWeights[(hour + 23) % 24] += 0.5;
+    hourWeights[(hour + 1) % 24] += 0.5;
+  }
+
+  const total = hourWeights.reduce((sum, weight) => sum + weight, 0);
+  const average = total / 24;
+  const peakHours = total > 0
+    ? hourWeights
+      .map((weight, hour) => ({ weight, hour }))
+      .filter(({ weight }) => weight >= average * ADAPTIVE_PEAK_HOUR_RATIO)
+      .map(({ hour }) => hour)
+    : [];
+
+  // Measure frequency over the span we actually have history for
+  const oldest = valid.length > 0 ? Math.min(...valid.map(date => date.getTime())) : Date.now();
+  const spanDays = Math.min(
+    ADAPTIVE_LEARNING_WINDOW_DAYS,
+    Math.max(1, (Date.now() - oldest) / (24 * 60 * 60 * 1000))
+  );
+
+  return {
+    sampleSize: valid.length,
+    postsPerWeek: valid.length > 0 ? (valid.length / spanDays) * 7 : 0,
+    hourWeights,
+    peakHours
+  };
+}
+
+/**
+ * Check whether a schedule has enough history to adapt polling
+ * @param {Object} schedule - Learned schedule
+ * @returns {boolean} True if the schedule is usable
+ */
+export function isScheduleConfident(schedule) {
+  return schedule.sampleSize >= ADAPTIVE_MIN_SAMPLES;
+}
+
+/**
+ * Compute the polling interval for an account at a given time
+ * Polls faster during the account's usual posting hours and backs off outside
+ * them, more so for accounts that rarely post
+ * @param {Object} schedule - Learned schedule
+ * @param {number} baseMinutes - Interval of the account's tier
+ * @param {string} timezone - Timezone the schedule was learned in
+ * @param {Date} date - Time to compute the interval for
+ * @returns {number} Interval in minutes
+ */
+export function getAdaptiveIntervalMinutes(schedule, baseMinutes, timezone, date = new Date()) {
+  if (!isScheduleConfident(schedule)) {
+    return baseMinutes;
+  }
+
+  let minutes;
+  if (schedule.peakHours.includes(getHourInTimezone(timezone, date))) {
+    minutes = baseMinutes * ADAPTIVE_TIGHTEN_FACTOR;
+  } else if (schedule.postsPerWeek < 1) {
+    minutes = baseMinutes * 4;
+  } else if (schedule.postsPerWeek < 7) {
+    minutes = baseMinutes * 2;
+  } else {
+    minutes = baseMinutes;
+  }
+
+  return Math.round(Math.min(ADAPTIVE_MAX_INTERVAL_MINUTES, Math.max(ADAPTIVE_MIN_INTERVAL_MINUTES, minutes)));
+}
+
+/**
+ * Group peak hours into readable ranges, e.g. [0, 17, 18, 23] -> "17:00-19:00, 23:00-01:00"
+ * @param {number[]} hours - Sorted peak hours
+ * @returns {string} Formatted ranges
+ */
+export function formatPeakHours(hours) {
+  if (hours.length === 0) return 'none';
+  if (hours.length === 24) return 'all day';
+
+  const ranges = [];
+  let start = hours[0];
+  let previous = hours[0];
+
+  for (const hour of [...hours.slice(1), null]) {
+    if (hour !== previous + 1) {
+      ranges.push([start, (previous + 1) % 24]);
+      start = hour;
+    }
+    previous = hour;
+  }
+
+  // Join a range ending at midnight with one starting at midnight
+  if (ranges.length > 1 && ranges[0][0] === 0 && ranges[ranges.length - 1][1] === 0) {
+    const [, end] = ranges.shift();
+    ranges[ranges.length - 1][1] = end;
+  }
+
+  const pad = hour => `${String(hour).padStart(2, '0')}:00`;
+  return ranges.map(([from, to]) => `${pad(from)}-${pad(to)}`).join(', ');
+}
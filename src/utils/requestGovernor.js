@@ -0,0 +1,240 @@
+import { createLogger } from './logger.js';
+import { delay } from './helpers.js';
+import { FetchError, FETCH_FAILURE_REASONS } from './fetchErrors.js';
+import {
+  REQUEST_BUDGETS,
+  REQUEST_GOVERNOR_MAX_WAIT_MS,
+  REQUEST_GOVERNOR_BACKOFF_BASE_MS,
+  REQUEST_GOVERNOR_BACKOFF_MAX_MS,
+  REQUEST_GOVERNOR_MAX_RETRY_AFTER_MS,
+  REQUEST_GOVERNOR_SUSTAINED_429
+} from './constants.js';
+
+const logger = createLogger('RequestGovernor');
+
+/**
+ * Parse a Retry-After header
+ * @param {string|undefined} value - Delay in seconds or an HTTP date
+ * @returns {number|null} Milliseconds to wait, or null if missing or malformed
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Request governor
+ * Shares one token bucket per host between every request, so concurrent
+ * account checks cannot exceed a host's budget together.
+ *
+ * - Each request takes a token; tokens refill at the host's `perMinute` rate
+ *   up to `burst`. Requests wait in order for their token.
+ * - A 429 (or a 503 with Retry-After) blocks the host for the Retry-After time,
+ *   or for an exponential backoff when the header is missing.
+ * - Requests to a host blocked for longer than REQUEST_GOVERNOR_MAX_WAIT_MS fail
+ *   right away with a rate limited FetchError instead of stalling the check cycle.
+ * - A host answering REQUEST_GOVERNOR_SUSTAINED_429 429s in a row counts as
+ *   throttled until its block ends, see getPauseRemaining().
+ */
+class RequestGovernor {
+  /**
+   * @param {Object} budgets - Budgets per host, plus a `default` entry: { burst, perMinute }
+   */
+  constructor(budgets = REQUEST_BUDGETS) {
+    this.budgets = budgets;
+    this.hosts = new Map(); // host -> bucket state
+  }
+
+  /**
+   * Get the bucket of a host, creating it full on first use
+   * @param {string} host - Host name
+   * @returns {Object} Bucket state
+   */
+  getBucket(host) {
+    let bucket = this.hosts.get(host);
+
+    if (!bucket) {
+      const budget = this.budgets[host] || this.budgets.default;
+      bucket = {
+        burst: budget.burst,
+        perMinute: budget.perMinute,
+        tokens: budget.burst,
+        refilledAt: Date.now(),
+        blockedUntil: 0,
+        consecutive429: 0,
+        total429: 0,
+        requests: 0,
+        waiting: 0,
+        queue: Promise.resolve()
+      };
+      this.hosts.set(host, bucket);
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Add the tokens a bucket earned since its last refill
+   * @param {Object} bucket - Bucket state
+   */
+  refill(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.refilledAt) * bucket.perMinute / 60000);
+    bucket.refilledAt = now;
+  }
+
+  /**
+   * Build the error for a request to a host that stays blocked for too long
+   * @param {string} host - Host name
+   * @param {number} blockedMs - Remaining block time
+   * @returns {FetchError} Rate limited error
+   */
+  blockedError(host, blockedMs) {
+    return new FetchError(
+      FETCH_FAILURE_REASONS.RATE_LIMITED,
+      `${host} is rate limited for another ${Math.ceil(blockedMs / 1000)}s`,
+      { status: 429, local: true }
+    );
+  }
+
+  /**
+   * Wait for a request slot on a host
+   * @param {string} host - Host name
+   * @throws {FetchError} If the host is blocked for longer than REQUEST_GOVERNOR_MAX_WAIT_MS
+   */
+  async acquire(host) {
+    const bucket = this.getBucket(host);
+
+    const blockedMs = bucket.blockedUntil - Date.now();
+    if (blockedMs > REQUEST_GOVERNOR_MAX_WAIT_MS) {
+      throw this.blockedError(host, blockedMs);
+    }
+
+    // Requests take their turn one after another, so tokens are handed out in order
+    bucket.waiting++;
+    const turn = bucket.queue.then(() => this.waitForToken(host, bucket));
+    bucket.queue = turn.catch(() => {});
+
+    try {
+      await turn;
+    } finally {
+      bucket.waiting--;
+    }
+  }
+
+  /**
+   * Wait until a host is no longer blocked and has a token, then take it
+   * @param {string} host - Host name
+   * @param {Object} bucket - Bucket state
+   */
+  async waitForToken(host, bucket) {
+    for (;;) {
+      const blockedMs = bucket.blockedUntil - Date.now();
+      if (blockedMs > REQUEST_GOVERNOR_MAX_WAIT_MS) {
+        throw this.blockedError(host, blockedMs);
+      }
+      if (blockedMs > 0) {
+        await delay(blockedMs);
+        continue;
+      }
+
+      this.refill(bucket);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        bucket.requests++;
+        return;
+      }
+
+      await delay(Math.ceil((1 - bucket.tokens) * 60000 / bucket.perMinute));
+    }
+  }
+
+  /**
+   * Record the response of a request, blocking the host on 429
+   * @param {string} host - Host name
+   * @param {number} status - HTTP status code
+   * @param {Object} headers - Response headers
+   */
+  recordResponse(host, status, headers = {}) {
+    const bucket = this.getBucket(host);
+    const retryAfterMs = parseRetryAfter(headers['retry-after']);
+
+    if (status === 429 || (status === 503 && retryAfterMs !== null)) {
+      bucket.consecutive429++;
+      bucket.total429++;
+
+      const backoffMs = Math.min(
+        REQUEST_GOVERNOR_BACKOFF_BASE_MS * Math.pow(2, bucket.consecutive429 - 1),
+        REQUEST_GOVERNOR_BACKOFF_MAX_MS
+      );
+      const blockMs = Math.min(retryAfterMs ?? backoffMs, REQUEST_GOVERNOR_MAX_RETRY_AFTER_MS);
+
+      bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + blockMs);
+      bucket.tokens = 0;
+
+      logger.warn(`Rate limited by ${host}, holding requests`, {
+        host,
+        status,
+        retryAfter: headers['retry-after'] ?? null,
+        blockedForSeconds: Math.round((bucket.blockedUntil - Date.now()) / 1000),
+        consecutive: bucket.consecutive429
+      });
+    } else if (status < 500) {
+      bucket.consecutive429 = 0;
+    }
+  }
+
+  /**
+   * Get how long every one of the given hosts stays throttled
+   * @param {string[]} hosts - Host names
+   * @returns {number} Milliseconds until the first of them is usable again, or 0
+   *   if any of them is not throttled
+   */
+  getPauseRemaining(hosts) {
+    let remaining = Infinity;
+
+    for (const host of hosts) {
+      const bucket = this.hosts.get(host);
+      const blockedMs = bucket ? bucket.blockedUntil - Date.now() : 0;
+
+      if (!bucket || bucket.consecutive429 < REQUEST_GOVERNOR_SUSTAINED_429 || blockedMs <= 0) {
+        return 0;
+      }
+      remaining = Math.min(remaining, blockedMs);
+    }
+
+    return hosts.length > 0 ? remaining : 0;
+  }
+
+  /**
+   * Get the state of every host seen so far
+   * @returns {Array} Array of { host, tokens, burst, perMinute, blockedForMs, consecutive429, total429, requests, waiting }
+   */
+  getStatus() {
+    return Array.from(this.hosts.entries()).map(([host, bucket]) => {
+      this.refill(bucket);
+
+      return {
+        host,
+        tokens: Math.floor(bucket.tokens * 10) / 10,
+        burst: bucket.burst,
+        perMinute: bucket.perMinute,
+        blockedForMs: Math.max(0, bucket.blockedUntil - Date.now()),
+        consecutive429: bucket.consecutive429,
+        total429: bucket.total429,
+        requests: bucket.requests,
+        waiting: bucket.waiting
+      };
+    });
+  }
+}
+
+export default RequestGovernor;
@@ -0,0 +1,220 @@
+/**
+ * Notification message templates
+ * Supports variables ({caption}, {posted_at:R}, ...) and conditional blocks
+ * ({#if reel}...{else}...{/if}, {#if !caption}...{/if})
+ */
+
+import { escapeMarkdown } from 'discord.js';
+
+export const TEMPLATE_VARIABLES = [
+  'username',
+  'display_name',
+  'url',
+  'title',
+  'caption',
+  'caption_short',
+  'hashtags',
+  'media_type',
+  'posted_at',
+  'likes'
+];
+
+// Media types usable as conditions, e.g. {#if reel}
+export const TEMPLATE_MEDIA_CONDITIONS = ['image', 'carousel', 'video', 'reel', 'story', 'highlight', 'pinned'];
+
+// Discord timestamp styles for {posted_at:X}
+const TIMESTAMP_STYLES = ['t', 'T', 'd', 'D', 'f', 'F', 'R'];
+
+const CAPTION_SHORT_LENGTH = 100;
+const TAG_PATTERN = /\{(#if\s+!?[a-z_]+|\/if|else|[a-z_]+(?::[A-Za-z]+)?)\}/g;
+const MALFORMED_BLOCK_PATTERN = /\{[#/][^}]*\}/;
+
+/**
+ * Create a text node, rejecting block tags the tag pattern did not recognize
+ * @param {string} value - Literal text
+ * @returns {Object} Text node
+ * @throws {Error} If the text contains a malformed block tag
+ */
+function textNode(value) {
+  const malformed = value.match(MALFORMED_BLOCK_PATTERN);
+  if (malformed) {
+    throw new Error(`Malformed block tag "${malformed[0]}". Use {#if name}...{/if}`);
+  }
+  return { type: 'text', value };
+}
+
+/**
+ * Parse a template into a tree of text, variable and conditional nodes
+ * @param {string} template - Template string
+ * @returns {Array} Parsed nodes
+ * @throws {Error} If the template is malformed
+ */
+export function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let current = root.children;
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(TAG_PATTERN)) {
+    if (match.index > lastIndex) {
+      current.push(textNode(template.slice(lastIndex, match.index)));
+    }
+    lastIndex = match.index + match[0].length;
+
+    const tag = match[1];
+
+    if (tag.startsWith('#if')) {
+      const condition = tag.slice(3).trim();
+      const negate = condition.startsWith('!');
+      const name = negate ? condition.slice(1) : condition;
+
+      if (!TEMPLATE_VARIABLES.includes(name) && !TEMPLATE_MEDIA_CONDITIONS.includes(name)) {
+        throw new Error(`Unknown condition "${name}" in {#if ${condition}}`);
+      }
+
+      const node = { type: 'if', name, negate, children: [], elseChildren: null };
+      current.push(node);
+      stack.push(node);
+      current = node.children;
+    } else if (tag === 'else') {
+      const node = stack[stack.length - 1];
+      if (node === root || node.elseChildren) {
+        throw new Error('{else} must be inside an {#if} block and appear only once');
+      }
+      node.elseChildren = [];
+      current = node.elseChildren;
+    } else if (tag === '/if') {
+      if (stack.length === 1) {
+        throw new Error('{/if} without a matching {#if}');
+      }
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      current = parent === root ? root.children : (parent.elseChildren || parent.children);
+    } else {
+      const [name, format] = tag.split(':');
+
+      if (!TEMPLATE_VARIABLES.includes(name)) {
+        throw new Error(`Unknown variable {${name}}. Available: ${TEMPLATE_VARIABLES.map(v => `{${v}}`).join(', ')}`);
+      }
+      if (format && name !== 'posted_at') {
+        throw new Error(`Variable {${name}} does not accept a format`);
+      }
+      if (format && !TIMESTAMP_STYLES.includes(format)) {
+        throw new Error(`Unknown timestamp format "${format}". Use one of: ${TIMESTAMP_STYLES.join(', ')}`);
+      }
+
+      current.push({ type: 'var', name, format: format || 'f' });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Missing {/if} for {#if ${stack[stack.length - 1].name}}`);
+  }
+
+  if (lastIndex < template.length) {
+    current.push(textNode(template.slice(lastIndex)));
+  }
+
+  return root.children;
+}
+
+/**
+ * Validate a template
+ * @param {string} template - Template string
+ * @throws {Error} With a human-readable reason if the template is malformed
+ */
+export function validateTemplate(template) {
+  parseTemplate(template);
+}
+
+/**
+ * Build the variable context for a post
+ * Caption-derived values are escaped so they cannot break Discord markdown
+ * @param {Object} post - Post object
+ * @param {Object} instagramAccount - Instagram account object
+ * @param {string} event - Notification event ('post', 'pinned', 'story')
+ * @returns {Object} Template context
+ */
+export function buildTemplateContext(post, instagramAccount, event = 'post') {
+  const caption = post.description || '';
+  const hashtags = caption.match(/#[\p{L}\p{N}_]+/gu) || [];
+  const captionShort = caption.length > CAPTION_SHORT_LENGTH
+    ? caption.substring(0, CAPTION_SHORT_LENGTH - 1).trimEnd() + '…'
+    : caption;
+  const mediaType = event === 'story' ? 'story' : (post.mediaType || 'image');
+  const publishedAt = post.publishedAt instanceof Date && !isNaN(post.publishedAt.getTime())
+    ? post.publishedAt
+    : null;
+
+  return {
+    values: {
+      username: instagramAccount.username,
+      display_name: instagramAccount.display_name || instagramAccount.username,
+      url: post.url || '',
+      title: escapeMarkdown(post.title || ''),
+      caption: escapeMarkdown(caption),
+      caption_short: escapeMarkdown(captionShort),
+      hashtags: escapeMarkdown(hashtags.join(' ')),
+      media_type: mediaType,
+      posted_at: publishedAt ? Math.floor(publishedAt.getTime() / 1000) : null,
+      likes: Number.isFinite(post.likes) ? post.likes.toLocaleString('en-US') : ''
+    },
+    flags: {
+      image: mediaType === 'image',
+      carousel: mediaType === 'carousel',
+      video: mediaType === 'video',
+      reel: mediaType === 'reel',
+      story: event === 'story',
+      highlight: event === 'story' && !!post.isHighlight,
+      pinned: event === 'pinned'
+    }
+  };
+}
+
+/**
+ * Render parsed nodes against a context
+ * @param {Array} nodes - Parsed nodes
+ * @param {Object} context - Template context
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, context) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'var') {
+      const value = context.values[node.name];
+      if (node.name === 'posted_at') {
+        output += value ? `<t:${value}:${node.format}>` : '';
+      } else {
+        output += value ?? '';
+      }
+    } else if (node.type === 'if') {
+      const truthy = node.name in context.flags
+        ? context.flags[node.name]
+        : !!context.values[node.name];
+      const branch = truthy !== node.negate ? node.children : node.elseChildren;
+      if (branch) {
+        output += renderNodes(branch, context);
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template for a post
+ * @param {string} template - Template string
+ * @param {Object} post - Post object
+ * @param {Object} instagramAccount - Instagram account object
+ * @param {string} event - Notification event
+ * @returns {string} Rendered message
+ * @throws {Error} If the template is malformed
+ */
+export function renderTemplate(template, post, instagramAccount, event = 'post') {
+  const nodes = parseTemplate(template);
+  const context = buildTemplateContext(post, instagramAccount, event);
+  return renderNodes(nodes, context).trim();
+}